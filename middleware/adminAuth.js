@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * Requires the X-Admin-Token header to match ADMIN_TOKEN. Admin routes are
+ * refused outright when ADMIN_TOKEN is not set.
+ */
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(403).json({ success: false, error: 'Admin API disabled' });
+  }
+
+  const given = Buffer.from(String(req.headers['x-admin-token'] || ''));
+  const wanted = Buffer.from(expected);
+
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing admin token' });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdmin
+};
@@ -0,0 +1,66 @@
+const {
+  authenticateDeviceToken,
+  extractToken
+} = require('../services/deviceAuthService');
+const logger = require('../config/logger');
+
+/**
+ * Requires a valid device token. Sets req.device / req.deviceId and rejects
+ * requests whose :deviceId param or body.deviceId names another device.
+ */
+function deviceAuth(options = {}) {
+  return async function (req, res, next) {
+    try {
+      const device = await authenticateDeviceToken(extractToken(req.headers), options);
+      if (!device) {
+        return res.status(401).json({ success: false, error: 'Invalid or missing device token' });
+      }
+
+      const claimed = req.params.deviceId || (req.body && req.body.deviceId);
+      if (claimed && claimed !== device.deviceId) {
+        return res.status(403).json({ success: false, error: 'Token does not match deviceId' });
+      }
+
+      req.device = device;
+      req.deviceId = device.deviceId;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+const requireDeviceAuth = deviceAuth();
+
+// Token refresh also takes a recently expired token
+const requireRefreshableDeviceAuth = deviceAuth({ allowExpired: true });
+
+/**
+ * socket.io handshake middleware. Connections without a token stay
+ * anonymous (public board events only); a token that is present but
+ * invalid is refused.
+ */
+async function authenticateSocket(socket, next) {
+  const token =
+    (socket.handshake.auth && socket.handshake.auth.token) ||
+    extractToken(socket.handshake.headers);
+
+  if (!token) return next();
+
+  try {
+    const device = await authenticateDeviceToken(token);
+    if (!device) return next(new Error('Invalid device token'));
+
+    socket.data.deviceId = device.deviceId;
+    next();
+  } catch (err) {
+    logger.error('Socket authentication error:', err);
+    next(new Error('Authentication failed'));
+  }
+}
+
+module.exports = {
+  requireDeviceAuth,
+  requireRefreshableDeviceAuth,
+  authenticateSocket
+};
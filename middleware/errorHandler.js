@@ -0,0 +1,67 @@
+const logger = require('../config/logger');
+
+/**
+ * Forwards rejected promises from async route handlers to next().
+ */
+function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Final error middleware. Client-caused errors (Joi, Mongoose validation
+ * and cast errors, malformed JSON) become structured 400s, duplicate keys
+ * a 409; anything else is logged and reported as a 500.
+ */
+function errorHandler(err, req, res, next) {
+  if (err.isJoi) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: err.details.map(d => ({
+        field: d.path.join('.'),
+        message: d.message.replace(/"/g, '')
+      }))
+    });
+  }
+
+  if (err.name === 'ValidationError' && err.errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: Object.values(err.errors).map(e => ({
+        field: e.path,
+        message: e.message
+      }))
+    });
+  }
+
+  if (err.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: [{ field: err.path, message: `Invalid value for ${err.path}` }]
+    });
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'Malformed JSON body' });
+  }
+
+  // A concurrent write won the unique key
+  if (err.code === 11000) {
+    return res.status(409).json({ success: false, error: 'Already exists' });
+  }
+
+  logger.error('Unhandled request error:', err);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+}
+
+module.exports = {
+  asyncHandler,
+  errorHandler
+};
@@ -12,7 +12,45 @@ const deviceSchema = new mongoose.Schema({
     appVersion: String
   },
   isActive: { type: Boolean, default: true },
-  lastSeen: { type: Date, default: Date.now }
+  lastSeen: { type: Date, default: Date.now },
+
+  // Device token revocation: tokens carry the version they were issued at
+  tokenVersion: { type: Number, default: 0 },
+  tokenIssuedAt: { type: Date, default: null },
+
+  // Defaults for every watch on this device; watch-level settings win
+  notificationPreferences: {
+    enabled: { type: Boolean, default: true },
+    leadItems: { type: Number, min: 1, default: null },
+    quietHours: {
+      start: { type: String, default: null }, // 'HH:MM'
+      end: { type: String, default: null },
+      allowLive: { type: Boolean, default: true }
+    },
+    courts: { type: [String], default: undefined },
+    timezone: { type: String, default: 'Asia/Kolkata' }
+  },
+
+  // Where alerts go besides (or instead of) push; see services/channels
+  channels: {
+    fcm: {
+      enabled: { type: Boolean, default: true },
+      disabledReason: { type: String, default: null }  // 'invalid_token' when switched off for a dead token
+    },
+    email: {
+      enabled: { type: Boolean, default: false },
+      address: { type: String, default: null }
+    },
+    sms: {
+      enabled: { type: Boolean, default: false },
+      phone: { type: String, default: null }
+    },
+    webhook: {
+      enabled: { type: Boolean, default: false },
+      url: { type: String, default: null },
+      secret: { type: String, default: null, select: false }
+    }
+  }
 }, { timestamps: true });
 
 deviceSchema.index({ isActive: 1, lastSeen: -1 });
@@ -23,7 +61,8 @@ deviceSchema.index({ isActive: 1, lastSeen: -1 });
 //
 const watchlistSchema = new mongoose.Schema({
   deviceId: { type: String, required: true, index: true },
-  caseNumber: { type: String, required: true, index: true },
+  caseNumber: { type: String, required: true, index: true }, // canonical
+  caseNumberRaw: { type: String, default: null },             // as typed
   courthouse: { type: String, default: 'Gujarat High Court' },
   nickname: { type: String, default: null },
 
@@ -31,10 +70,24 @@ const watchlistSchema = new mongoose.Schema({
     earlyWarning: { type: Boolean, default: true },
     approaching: { type: Boolean, default: true },
     inSession: { type: Boolean, default: true },
-    completed: { type: Boolean, default: true }
+    completed: { type: Boolean, default: true },
+
+    // Unset (null / empty) falls back to the device preferences
+    leadItems: { type: Number, min: 1, default: null }, // early warning at N items away
+    quietHours: {
+      start: { type: String, default: null },
+      end: { type: String, default: null },
+      allowLive: { type: Boolean, default: true }
+    },
+    courts: { type: [String], default: undefined }
   },
 
   isActive: { type: Boolean, default: true },
+  removedAt: { type: Date, default: null },
+
+  // Muted: tracking continues, alerts are suppressed
+  isPaused: { type: Boolean, default: false },
+  pausedUntil: { type: Date, default: null },
 
   // ⚠️ Deprecated (kept only for backward compatibility)
   lastNotificationSent: {
@@ -53,6 +106,8 @@ const watchlistSchema = new mongoose.Schema({
   },
   lastSeenCourt: { type: String, default: null },
   lastSeenPosition: { type: Number, default: null },
+  lastPositionAt: { type: Date, default: null },   // when court/position were set
+  lastStatusAt: { type: Date, default: null },
 
   // ✅ Consecutive miss counter
   missCount: { type: Number, default: 0 },
@@ -68,7 +123,7 @@ const watchlistSchema = new mongoose.Schema({
   addedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
-watchlistSchema.index({ deviceId: 1, caseNumber: 1 }, { unique: true });
+watchlistSchema.index({ deviceId: 1, courthouse: 1, caseNumber: 1 }, { unique: true });
 watchlistSchema.index({ caseNumber: 1, isActive: 1 });
 
 
@@ -88,7 +143,7 @@ const caseHistorySchema = new mongoose.Schema({
   },
   sessionStartTime: Date,
   sessionEndTime: Date,
-  duration: Number,
+  duration: Number, // seconds
   position: Number,
   gsrno: String,
   streamUrl: String,
@@ -111,6 +166,44 @@ caseHistorySchema.index(
 
 caseHistorySchema.index({ caseNumber: 1, createdAt: -1 });
 caseHistorySchema.index({ courthouse: 1, createdAt: -1 });
+caseHistorySchema.index({ courthouse: 1, courtNumber: 1, scrapedAt: 1 });
+caseHistorySchema.index({ judgeName: 1, scrapedAt: 1 });
+
+
+//
+// ==================== Hearing Model ====================
+//
+// One case's continuous turn before a court, rebuilt from board transitions
+// by services/sessionBuilderService.js. Open while endedAt is null.
+const hearingSchema = new mongoose.Schema({
+  caseNumber: { type: String, required: true, index: true },
+  courthouse: { type: String, default: 'Gujarat High Court' },
+  courtNumber: { type: String, required: true },
+  judgeName: String,
+  benchType: String,
+  position: Number,
+  hearingDate: String, // YYYY-MM-DD (IST)
+
+  startedAt: { type: Date, required: true },
+  endedAt: { type: Date, default: null },
+  lastSeenAt: Date,    // last scrape that saw the court
+
+  // Recess pauses are excluded from duration
+  recessStartedAt: { type: Date, default: null },
+  recesses: { type: Number, default: 0 },
+  pausedSeconds: { type: Number, default: 0 },
+
+  duration: { type: Number, default: null }, // seconds heard, set on close
+  endReason: {
+    type: String,
+    enum: ['next_case', 'sitting_over', 'off_board', 'gap'],
+    default: null
+  }
+}, { timestamps: true });
+
+hearingSchema.index({ courthouse: 1, endedAt: 1 });
+hearingSchema.index({ courthouse: 1, courtNumber: 1, startedAt: -1 });
+hearingSchema.index({ judgeName: 1, startedAt: -1 });
 
 
 //
@@ -154,8 +247,10 @@ const caseStatisticsSchema = new mongoose.Schema({
   courthouse: String,
   firstSeen: Date,
   lastSeen: Date,
-  totalAppearances: { type: Number, default: 0 },
-  totalDuration: { type: Number, default: 0 },
+  totalAppearances: { type: Number, default: 0 },   // distinct hearing days
+  lastAppearanceDate: String,                       // 'YYYY-MM-DD' IST
+  totalHearings: { type: Number, default: 0 },
+  totalDuration: { type: Number, default: 0 },   // seconds, over hearings
   averageDuration: { type: Number, default: 0 },
   courts: [String],
   judges: [String],
@@ -173,17 +268,52 @@ caseStatisticsSchema.index({ lastSeen: -1 });
 caseStatisticsSchema.index({ watchCount: -1 });
 
 const CurrentCourtSchema = new mongoose.Schema({
-  courtCode: { type: String, required: true, unique: true },
+  courtCode: { type: String, required: true },
+  courthouse: { type: String, default: 'Gujarat High Court', index: true },
 
   data: { type: Object, required: true },
 
   dataHash: { type: String, required: true },   // 🔐 NEW
+  fingerprint: String,                           // adapter delta key, restored on startup
+
+  isVisible: { type: Boolean, default: true },
+  missingCount: { type: Number, default: 0 },
 
   checkedAt: { type: Date, default: Date.now }, // ⏱️ every scrape
   changedAt: { type: Date, default: Date.now }  // 🔁 only on real change
   
 });
 
+// Court codes are only unique within a courthouse
+CurrentCourtSchema.index({ courthouse: 1, courtCode: 1 }, { unique: true });
+
+
+
+//
+// ==================== Cause List Model ====================
+//
+const causeListEntrySchema = new mongoose.Schema({
+  listDate: { type: String, required: true }, // YYYY-MM-DD (IST)
+  courthouse: { type: String, default: 'Gujarat High Court' },
+  caseNumber: { type: String, required: true, index: true },
+  courtNumber: { type: String, required: true },
+  judgeName: String,
+  srNo: String,
+  position: Number,
+  listType: { type: String, default: 'DAILY' },
+  source: String,
+  ingestedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+causeListEntrySchema.index(
+  { courthouse: 1, listDate: 1, courtNumber: 1, caseNumber: 1, listType: 1 },
+  { unique: true }
+);
+causeListEntrySchema.index({ listDate: 1, caseNumber: 1 });
+causeListEntrySchema.index({ listDate: 1, courtNumber: 1, position: 1 });
+
+// TTL: 30 days
+causeListEntrySchema.index({ createdAt: 1 }, { expireAfterSeconds: 2592000 });
 
 
 //
@@ -204,19 +334,92 @@ const notificationLogSchema = new mongoose.Schema({
   success: { type: Boolean, default: true },
   error: String,
   courtNumber: String,
-  position: Number
+  position: Number,
+
+  // Hearing the alert belongs to: "<date>|<court>|<case>" (utils/hearing)
+  hearingDate: { type: String, default: null }, // 'YYYY-MM-DD' IST
+  hearingKey: { type: String, default: null },
+
+  // Delivery pipeline: outcome of the latest attempt plus the full trail
+  channel: { type: String, default: 'fcm' },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'retrying', 'failed', 'invalid_target'],
+    default: 'sent'
+  },
+  errorCode: { type: String, default: null },
+  attempts: [{
+    _id: false,
+    attempt: Number,
+    at: Date,
+    success: Boolean,
+    messageId: String,
+    errorCode: String,
+    error: String
+  }],
+
+  // In-app inbox
+  readAt: { type: Date, default: null }
 }, { timestamps: true });
 
-// ✅ De-duplication index (anti-spam / race-safe)
+// ✅ De-duplication index (anti-spam / race-safe): one alert of each type
+// per channel per hearing. Legacy logs without a key are ignored.
 notificationLogSchema.index(
-  { deviceId: 1, caseNumber: 1, notificationType: 1, courtNumber: 1 },
-  { unique: true }
+  { deviceId: 1, channel: 1, notificationType: 1, hearingKey: 1 },
+  { unique: true, partialFilterExpression: { hearingKey: { $type: 'string' } } }
 );
 
+notificationLogSchema.index({ deviceId: 1, createdAt: -1 });
+
 // TTL: 30 days
 notificationLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2592000 });
 
 
+//
+// ==================== Lease Model ====================
+//
+// Leader election: one document per role; whoever holds an unexpired lease
+// runs that role (see services/leaderService.js)
+const leaseSchema = new mongoose.Schema({
+  _id: { type: String },           // role, e.g. 'scraper'
+  holder: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  acquiredAt: { type: Date, default: Date.now },
+  renewedAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+
+//
+// ==================== Court Calendar Model ====================
+//
+// Admin-managed sitting hours and closures per courthouse, merged over the
+// adapter defaults and COURT_CALENDAR_FILE (see services/courtCalendarService.js)
+const calendarEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['holiday', 'vacation', 'vacation_bench'],
+    required: true
+  },
+  startDate: { type: String, required: true }, // YYYY-MM-DD (court time)
+  endDate: { type: String, required: true },   // inclusive
+  name: String,
+  // vacation_bench only: hours that day, regular hours when unset
+  start: String,
+  end: String
+});
+
+const courtCalendarSchema = new mongoose.Schema({
+  courthouse: { type: String, required: true, unique: true },
+  timezone: String,
+  sittingHours: {
+    start: String, // HH:MM
+    end: String
+  },
+  sittingDays: { type: [Number], default: undefined }, // 0 = Sunday
+  entries: [calendarEntrySchema]
+}, { timestamps: true });
+
+
 //
 // ==================== EXPORT ====================
 //
@@ -224,8 +427,12 @@ module.exports = {
   Device: mongoose.model('Device', deviceSchema),
   Watchlist: mongoose.model('Watchlist', watchlistSchema),
   CaseHistory: mongoose.model('CaseHistory', caseHistorySchema),
+  Hearing: mongoose.model('Hearing', hearingSchema),
   CourtSnapshot: mongoose.model('CourtSnapshot', courtSnapshotSchema),
   CaseStatistics: mongoose.model('CaseStatistics', caseStatisticsSchema),
   NotificationLog: mongoose.model('NotificationLog', notificationLogSchema),
-  CurrentCourt: mongoose.model('CurrentCourt', CurrentCourtSchema)
+  CurrentCourt: mongoose.model('CurrentCourt', CurrentCourtSchema),
+  CauseListEntry: mongoose.model('CauseListEntry', causeListEntrySchema),
+  Lease: mongoose.model('Lease', leaseSchema),
+  CourtCalendar: mongoose.model('CourtCalendar', courtCalendarSchema)
 };
\ No newline at end of file
@@ -10,16 +10,68 @@ const {
 } = require('../models');
 
 const { getLastCourtData } = require('../services/cronService');
-const { calculateEstimatedWaitTime } = require('../services/trackingService');
+const { calculateEstimatedWaitTime } = require('../services/etaService');
 const logger = require('../config/logger');
+const { canonicalCaseNumber } = require('../utils/caseNumber');
 const { sendNotification } = require('../services/fcmService');
 const { getAllCurrentCourts } = require('../services/currentCourtService');
+const { getCourtCauseList } = require('../services/causeListService');
+const { getCourtAnalytics, getJudgeAnalytics } = require('../services/analyticsService');
+const { getTimeline, getBoardAt } = require('../services/boardTimelineService');
+const { summariseBoard } = require('../services/boardSummaryService');
+const {
+  authenticateDeviceToken,
+  rotateDeviceToken,
+  matchesFcmToken,
+  extractToken
+} = require('../services/deviceAuthService');
+const { requireDeviceAuth, requireRefreshableDeviceAuth } = require('../middleware/deviceAuth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/errorHandler');
+const schemas = require('../validation/schemas');
+const {
+  addWatch,
+  bulkAddWatches,
+  splitCaseList,
+  updateWatch,
+  setPaused,
+  removeWatch
+} = require('../services/watchlistService');
+const {
+  DEFAULT_COURTHOUSE,
+  listAdapters
+} = require('../services/courthouses');
+const {
+  getDevicePreferences,
+  updateDevicePreferences,
+  getWatchPreferences,
+  getDeviceChannels,
+  updateDeviceChannels
+} = require('../services/notificationPreferenceService');
+const {
+  listNotifications,
+  getUnreadCounts,
+  setNotificationRead,
+  markAllRead
+} = require('../services/notificationInboxService');
+const {
+  getCalendar,
+  isCourtHours,
+  nextSittingWindow,
+  listDays,
+  updateCalendarSettings,
+  addCalendarEntries,
+  removeCalendarEntry,
+  parseCalendarContent,
+  importCalendar
+} = require('../services/courtCalendarService');
 
 
 /* -------------------- HELPERS -------------------- */
 
-function requireCachedCourtData(res) {
-  const data = getLastCourtData();
+function requireCachedCourtData(res, courthouse = null) {
+  const data = getLastCourtData(courthouse);
   if (!data || !data.courts) {
     res.status(503).json({
       success: false,
@@ -36,85 +88,434 @@ function isDev() {
 
 /* ==================== DEVICE ==================== */
 
-router.post('/device/register', async (req, res) => {
-  const { deviceId, fcmToken, deviceInfo } = req.body;
-  if (!deviceId || !fcmToken) {
-    return res.status(400).json({ success: false, error: 'Missing fields' });
-  }
+router.post(
+  '/device/register',
+  validate(schemas.device.register),
+  asyncHandler(async (req, res) => {
+    const { deviceId, fcmToken, deviceInfo } = req.body;
+
+    // A known device is only re-registered by whoever holds its token (even
+    // recently expired) or the FCM token on record. A device registered
+    // before tokens were issued has no token, so only the latter.
+    const existing = await Device.findOne(
+      { deviceId },
+      { tokenIssuedAt: 1, fcmToken: 1, 'channels.fcm.disabledReason': 1 }
+    ).lean();
+    if (existing && !matchesFcmToken(existing.fcmToken, fcmToken)) {
+      const caller = existing.tokenIssuedAt && await authenticateDeviceToken(extractToken(req.headers), {
+        allowInactive: true,
+        allowExpired: true
+      });
+      if (!caller || caller.deviceId !== deviceId) {
+        return res.status(401).json({
+          success: false,
+          error: 'Device already registered; present its token or registered FCM token'
+        });
+      }
+    }
 
-  const device = await Device.findOneAndUpdate(
-    { deviceId },
-    { fcmToken, deviceInfo, isActive: true, lastSeen: new Date() },
-    { upsert: true, new: true }
-  );
+    // A new push token undoes a dead token switching push off; a user who
+    // turned push off keeps it off
+    const pushRevived = !!existing && existing.fcmToken !== fcmToken &&
+      !!existing.channels && !!existing.channels.fcm &&
+      existing.channels.fcm.disabledReason === 'invalid_token';
+
+    await Device.findOneAndUpdate(
+      { deviceId },
+      {
+        fcmToken,
+        deviceInfo,
+        isActive: true,
+        lastSeen: new Date(),
+        ...(pushRevived && { 'channels.fcm.enabled': true, 'channels.fcm.disabledReason': null })
+      },
+      { upsert: true, new: true }
+    );
 
-  res.json({ success: true, device });
-});
+    const { device, token, expiresAt } = await rotateDeviceToken(deviceId);
+
+    res.json({ success: true, device, token, expiresAt });
+  })
+);
+
+router.post(
+  '/device/token/refresh',
+  requireRefreshableDeviceAuth,
+  asyncHandler(async (req, res) => {
+    const { token, expiresAt } = await rotateDeviceToken(req.deviceId);
+    res.json({ success: true, token, expiresAt });
+  })
+);
+
+router.post(
+  '/device/heartbeat',
+  requireDeviceAuth,
+  validate(schemas.device.heartbeat),
+  asyncHandler(async (req, res) => {
+    await Device.findOneAndUpdate(
+      { deviceId: req.deviceId },
+      { lastSeen: new Date() }
+    );
+    res.json({ success: true });
+  })
+);
+
+/* ==================== NOTIFICATION PREFERENCES ==================== */
+
+router.get(
+  '/devices/:deviceId/preferences',
+  requireDeviceAuth,
+  validate(schemas.device.deviceItem),
+  asyncHandler(async (req, res) => {
+    const preferences = await getDevicePreferences(req.deviceId);
+    if (!preferences) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    res.json({ success: true, preferences });
+  })
+);
+
+router.put(
+  '/devices/:deviceId/preferences',
+  requireDeviceAuth,
+  validate(schemas.device.updatePreferences),
+  asyncHandler(async (req, res) => {
+    const preferences = await updateDevicePreferences(req.deviceId, req.body);
+    if (!preferences) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    res.json({ success: true, preferences });
+  })
+);
+
+router.get(
+  '/devices/:deviceId/channels',
+  requireDeviceAuth,
+  validate(schemas.device.deviceItem),
+  asyncHandler(async (req, res) => {
+    const channels = await getDeviceChannels(req.deviceId);
+    if (!channels) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    res.json({ success: true, channels });
+  })
+);
+
+router.put(
+  '/devices/:deviceId/channels',
+  requireDeviceAuth,
+  validate(schemas.device.updateChannels),
+  asyncHandler(async (req, res) => {
+    const result = await updateDeviceChannels(req.deviceId, req.body);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
 
-router.post('/device/heartbeat', async (req, res) => {
-  await Device.findOneAndUpdate(
-    { deviceId: req.body.deviceId },
-    { lastSeen: new Date() }
-  );
-  res.json({ success: true });
-});
+    res.json({
+      success: true,
+      channels: result.channels,
+      ...(result.webhookSecret && { webhookSecret: result.webhookSecret })
+    });
+  })
+);
+
+/* ==================== NOTIFICATION INBOX ==================== */
+
+router.get(
+  '/devices/:deviceId/notifications',
+  requireDeviceAuth,
+  validate(schemas.notifications.list),
+  asyncHandler(async (req, res) => {
+    const [{ notifications, pagination }, unread] = await Promise.all([
+      listNotifications(req.deviceId, req.query),
+      getUnreadCounts(req.deviceId)
+    ]);
+
+    res.json({ success: true, notifications, pagination, unreadCount: unread.total });
+  })
+);
+
+router.get(
+  '/devices/:deviceId/notifications/unread-count',
+  requireDeviceAuth,
+  validate(schemas.notifications.unreadCount),
+  asyncHandler(async (req, res) => {
+    const unread = await getUnreadCounts(req.deviceId);
+    res.json({ success: true, unreadCount: unread.total, byCase: unread.byCase });
+  })
+);
+
+router.post(
+  '/devices/:deviceId/notifications/read-all',
+  requireDeviceAuth,
+  validate(schemas.notifications.readAll),
+  asyncHandler(async (req, res) => {
+    const updated = await markAllRead(req.deviceId, req.body);
+    res.json({ success: true, updated });
+  })
+);
+
+router.patch(
+  '/devices/:deviceId/notifications/:notificationId',
+  requireDeviceAuth,
+  validate(schemas.notifications.update),
+  asyncHandler(async (req, res) => {
+    const found = await setNotificationRead(req.deviceId, req.params.notificationId, req.body.read);
+    if (!found) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+    res.json({ success: true });
+  })
+);
 
 /* ==================== WATCHLIST ==================== */
 
-router.post('/watchlist/add', async (req, res) => {
-  const { deviceId, caseNumber, nickname, notificationSettings } = req.body;
+router.post(
+  '/watchlist/add',
+  requireDeviceAuth,
+  validate(schemas.watchlist.add),
+  asyncHandler(async (req, res) => {
+    const courthouse = req.body.courthouse || DEFAULT_COURTHOUSE;
 
-  const existing = await Watchlist.findOne({ deviceId, caseNumber, isActive: true });
-  if (existing) {
-    return res.status(409).json({ success: false, error: 'Already watching' });
-  }
+    const { status, watch } = await addWatch(req.deviceId, { ...req.body, courthouse });
+    if (status === 'exists') {
+      return res.status(409).json({ success: false, error: 'Already watching' });
+    }
 
-  const watch = await Watchlist.create({
-    deviceId,
-    caseNumber,
-    nickname,
-    notificationSettings
-  });
+    res.json({ success: true, status, watch });
+  })
+);
 
-  await CaseStatistics.updateOne(
-    { caseNumber },
-    { $inc: { watchCount: 1 } },
-    { upsert: true }
-  );
+router.post(
+  '/watchlist/bulk',
+  requireDeviceAuth,
+  validate(schemas.watchlist.bulk),
+  asyncHandler(async (req, res) => {
+    const courthouse = req.body.courthouse || DEFAULT_COURTHOUSE;
 
-  res.json({ success: true, watch });
-});
+    const cases = req.body.cases || splitCaseList(req.body.text);
+    if (cases.length > 200) {
+      return res.status(400).json({ success: false, error: 'At most 200 cases per import' });
+    }
 
-router.get('/watchlist/:deviceId', async (req, res) => {
-  const watchlist = await Watchlist.find({
-    deviceId: req.params.deviceId,
-    isActive: true
-  }).lean();
+    const results = await bulkAddWatches(req.deviceId, cases, {
+      courthouse,
+      notificationSettings: req.body.notificationSettings
+    });
 
-  const caseNumbers = watchlist.map(w => w.caseNumber);
+    res.json({
+      success: true,
+      summary: {
+        added: results.added.length,
+        reactivated: results.reactivated.length,
+        existing: results.existing.length,
+        invalid: results.invalid.length
+      },
+      ...results
+    });
+  })
+);
+
+router.get(
+  '/watchlist/:deviceId',
+  requireDeviceAuth,
+  validate(schemas.watchlist.list),
+  asyncHandler(async (req, res) => {
+    const { courthouse } = req.query;
+
+    const watchlist = await Watchlist.find({
+      deviceId: req.params.deviceId,
+      isActive: true,
+      ...(courthouse && { courthouse })
+    }).lean();
+
+    const caseNumbers = watchlist.map(w => canonicalCaseNumber(w.caseNumber));
+
+    const statsMap = Object.fromEntries(
+      (await CaseStatistics.find({ caseNumber: { $in: caseNumbers } }).lean())
+        .map(s => [s.caseNumber, s])
+    );
 
-  const statsMap = Object.fromEntries(
-    (await CaseStatistics.find({ caseNumber: { $in: caseNumbers } }).lean())
-      .map(s => [s.caseNumber, s])
-  );
+    const historyMap = Object.fromEntries(
+      (await CaseHistory.aggregate([
+        { $match: { caseNumber: { $in: caseNumbers } } },
+        { $sort: { createdAt: -1 } },
+        { $group: { _id: '$caseNumber', doc: { $first: '$$ROOT' } } }
+      ])).map(h => [h._id, h.doc])
+    );
 
-  const historyMap = Object.fromEntries(
-    (await CaseHistory.aggregate([
-      { $match: { caseNumber: { $in: caseNumbers } } },
-      { $sort: { createdAt: -1 } },
-      { $group: { _id: '$caseNumber', doc: { $first: '$$ROOT' } } }
-    ])).map(h => [h._id, h.doc])
-  );
+    const enriched = watchlist.map(w => ({
+      ...w,
+      statistics: statsMap[canonicalCaseNumber(w.caseNumber)] || null,
+      currentStatus: historyMap[canonicalCaseNumber(w.caseNumber)] || null
+    }));
+
+    res.json({ success: true, count: enriched.length, watchlist: enriched });
+  })
+);
+
+router.patch(
+  '/watchlist/:deviceId/:watchId',
+  requireDeviceAuth,
+  validate(schemas.watchlist.update),
+  asyncHandler(async (req, res) => {
+    const watch = await updateWatch(req.deviceId, req.params.watchId, req.body);
+    if (!watch) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    res.json({ success: true, watch });
+  })
+);
+
+router.delete(
+  '/watchlist/:deviceId/:watchId',
+  requireDeviceAuth,
+  validate(schemas.watchlist.watchItem),
+  asyncHandler(async (req, res) => {
+    const watch = await removeWatch(req.deviceId, req.params.watchId);
+    if (!watch) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    res.json({ success: true, watch });
+  })
+);
+
+router.post(
+  '/watchlist/:deviceId/:watchId/pause',
+  requireDeviceAuth,
+  validate(schemas.watchlist.pause),
+  asyncHandler(async (req, res) => {
+    const watch = await setPaused(req.deviceId, req.params.watchId, true, req.body.until || null);
+    if (!watch) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    res.json({ success: true, watch });
+  })
+);
+
+router.post(
+  '/watchlist/:deviceId/:watchId/resume',
+  requireDeviceAuth,
+  validate(schemas.watchlist.watchItem),
+  asyncHandler(async (req, res) => {
+    const watch = await setPaused(req.deviceId, req.params.watchId, false);
+    if (!watch) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    res.json({ success: true, watch });
+  })
+);
+
+// `settings` is what the watch overrides; `effective` merges device defaults
+router.get(
+  '/watchlist/:deviceId/:watchId/preferences',
+  requireDeviceAuth,
+  validate(schemas.watchlist.watchItem),
+  asyncHandler(async (req, res) => {
+    const preferences = await getWatchPreferences(req.deviceId, req.params.watchId);
+    if (!preferences) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    res.json({ success: true, ...preferences });
+  })
+);
+
+router.put(
+  '/watchlist/:deviceId/:watchId/preferences',
+  requireDeviceAuth,
+  validate(schemas.watchlist.preferences),
+  asyncHandler(async (req, res) => {
+    const watch = await updateWatch(req.deviceId, req.params.watchId, {
+      notificationSettings: req.body
+    });
+    if (!watch) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
 
-  const enriched = watchlist.map(w => ({
-    ...w,
-    statistics: statsMap[w.caseNumber] || null,
-    currentStatus: historyMap[w.caseNumber] || null
-  }));
+    const preferences = await getWatchPreferences(req.deviceId, req.params.watchId);
+    res.json({ success: true, ...preferences });
+  })
+);
 
-  res.json({ success: true, count: enriched.length, watchlist: enriched });
+/* ==================== COURTHOUSES ==================== */
+
+router.get('/courthouses', (req, res) => {
+  res.json({ success: true, courthouses: listAdapters() });
 });
 
+/* ==================== COURT CALENDAR ==================== */
+
+router.get('/calendar/:courthouse', validate(schemas.calendar.get), (req, res) => {
+  const { courthouse } = req.params;
+
+  res.json({
+    success: true,
+    calendar: getCalendar(courthouse),
+    inSession: isCourtHours(courthouse),
+    nextSitting: nextSittingWindow(courthouse),
+    days: listDays(courthouse, req.query.from, req.query.to)
+  });
+});
+
+router.put(
+  '/admin/calendar/:courthouse',
+  requireAdmin,
+  validate(schemas.calendar.updateSettings),
+  asyncHandler(async (req, res) => {
+    const calendar = await updateCalendarSettings(req.params.courthouse, req.body);
+    res.json({ success: true, calendar });
+  })
+);
+
+router.post(
+  '/admin/calendar/:courthouse/entries',
+  requireAdmin,
+  validate(schemas.calendar.addEntries),
+  asyncHandler(async (req, res) => {
+    const { courthouse } = req.params;
+    const added = await addCalendarEntries(courthouse, req.body.entries, { replace: req.body.replace });
+    res.status(201).json({ success: true, added, calendar: getCalendar(courthouse) });
+  })
+);
+
+router.delete(
+  '/admin/calendar/:courthouse/entries/:entryId',
+  requireAdmin,
+  validate(schemas.calendar.removeEntry),
+  asyncHandler(async (req, res) => {
+    const { courthouse, entryId } = req.params;
+
+    const removed = await removeCalendarEntry(courthouse, entryId);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Calendar entry not found' });
+    }
+
+    res.json({ success: true, calendar: getCalendar(courthouse) });
+  })
+);
+
+router.post(
+  '/admin/calendar/:courthouse/import',
+  requireAdmin,
+  validate(schemas.calendar.import),
+  asyncHandler(async (req, res) => {
+    const { format, content, replace } = req.body;
+
+    let parsed;
+    try {
+      parsed = parseCalendarContent(format, content, getCalendar(req.params.courthouse).timezone);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: `Invalid ${format} calendar: ${err.message}` });
+    }
+
+    const result = await importCalendar(req.params.courthouse, parsed, { replace });
+    res.json({ success: true, ...result });
+  })
+);
+
 /* ==================== COURTS (CACHED ONLY) ==================== */
 function isStale(scrapedAt) {
   if (!scrapedAt) return true;
@@ -123,9 +524,9 @@ function isStale(scrapedAt) {
   return age > 60 * 60 * 1000; // 1 hour
 }
 
-router.get('/courts', async (req, res) => {
+router.get('/courts', validate(schemas.courts.list), async (req, res) => {
   try {
-    const courts = await getAllCurrentCourts();
+    const courts = await getAllCurrentCourts(req.query.courthouse);
 
     res.json({
       success: true,
@@ -146,8 +547,8 @@ router.get('/courts', async (req, res) => {
 });
 
 
-router.get('/courts/live', (req, res) => {
-  const data = requireCachedCourtData(res);
+router.get('/courts/live', validate(schemas.courts.list), (req, res) => {
+  const data = requireCachedCourtData(res, req.query.courthouse);
   if (!data) return;
 
   res.json({
@@ -156,8 +557,8 @@ router.get('/courts/live', (req, res) => {
   });
 });
 
-router.get('/courts/active', (req, res) => {
-  const data = requireCachedCourtData(res);
+router.get('/courts/active', validate(schemas.courts.list), (req, res) => {
+  const data = requireCachedCourtData(res, req.query.courthouse);
   if (!data) return;
 
   res.json({
@@ -166,54 +567,134 @@ router.get('/courts/active', (req, res) => {
   });
 });
 
-router.get('/courts/:courtNumber/queue', (req, res) => {
-  const data = requireCachedCourtData(res);
-  if (!data) return;
+router.get(
+  '/courts/summary',
+  validate(schemas.courts.list),
+  asyncHandler(async (req, res) => {
+    const data = requireCachedCourtData(res, req.query.courthouse);
+    if (!data) return;
 
-  const sameCourt = data.courts.filter(
-    c => c.courtNumber === req.params.courtNumber
-  );
+    const board = await summariseBoard(data.courts);
 
-  if (!sameCourt.length) {
-    return res.status(404).json({ success: false, error: 'Court not found' });
-  }
+    res.json({
+      success: true,
+      scrapedAt: data.scrapedAt,
+      stale: isStale(data.scrapedAt),
+      ...board
+    });
+  })
+);
+
+router.get(
+  '/courts/timeline',
+  validate(schemas.courts.timeline),
+  asyncHandler(async (req, res) => {
+    const timeline = await getTimeline(req.query);
+    res.json({ success: true, ...timeline });
+  })
+);
+
+router.get(
+  '/courts/at',
+  validate(schemas.courts.at),
+  asyncHandler(async (req, res) => {
+    const board = await getBoardAt(req.query);
+    res.json({ success: true, ...board });
+  })
+);
+
+router.get(
+  '/courts/:courtNumber/queue',
+  validate(schemas.courts.queue),
+  asyncHandler(async (req, res) => {
+    const courthouse = req.query.courthouse || DEFAULT_COURTHOUSE;
+
+    const data = requireCachedCourtData(res, courthouse);
+    if (!data) return;
+
+    const sameCourt = data.courts.filter(
+      c => c.courtNumber === req.params.courtNumber
+    );
 
-  const queue = sameCourt
-    .filter(c => c.queuePosition !== null)
-    .sort((a, b) => a.queuePosition - b.queuePosition);
+    const causeList = await getCourtCauseList(req.params.courtNumber, new Date(), courthouse);
 
-  res.json({
-    success: true,
-    courtNumber: req.params.courtNumber,
-    currentCase: queue.find(c => c.caseStatus === 'IN_SESSION') || null,
-    queue,
-    totalInQueue: queue.length
-  });
-});
+    if (!sameCourt.length && !causeList.length) {
+      return res.status(404).json({ success: false, error: 'Court not found' });
+    }
 
-/* ==================== CASE DATA ==================== */
+    const running = sameCourt
+      .filter(c => c.queuePosition !== null)
+      .sort((a, b) => a.queuePosition - b.queuePosition);
 
-router.get('/case/history/:caseNumber', async (req, res) => {
-  const history = await CaseHistory.find({ caseNumber: req.params.caseNumber })
-    .sort({ createdAt: -1 })
-    .limit(50);
+    const currentCase = running.find(c => c.caseStatus === 'IN_SESSION') || null;
+    const currentPosition = running.length ? running[0].queuePosition : null;
 
-  res.json({ success: true, history });
-});
+    // Today's cause list gives the rest of the queue behind the running item
+    const queue = causeList.map(e => ({
+      caseNumber: e.caseNumber,
+      srNo: e.srNo,
+      queuePosition: e.position,
+      listType: e.listType,
+      isCurrent: currentPosition !== null && e.position === currentPosition,
+      isPassed: currentPosition !== null && e.position < currentPosition
+    }));
 
-router.get('/case/stats/:caseNumber', async (req, res) => {
-  const stats = await CaseStatistics.findOne({ caseNumber: req.params.caseNumber });
-  if (!stats) {
-    return res.status(404).json({ success: false, error: 'Not found' });
-  }
+    res.json({
+      success: true,
+      courthouse,
+      courtNumber: req.params.courtNumber,
+      currentCase,
+      currentPosition,
+      queue: queue.length ? queue : running,
+      totalInQueue: queue.length
+        ? queue.filter(q => !q.isPassed).length
+        : running.length
+    });
+  })
+);
 
-  const eta = await calculateEstimatedWaitTime(req.params.caseNumber);
-  res.json({ success: true, statistics: { ...stats.toObject(), estimatedWaitTime: eta } });
-});
+/* ==================== CASE DATA ==================== */
+
+router.get(
+  '/case/history/:caseNumber',
+  validate(schemas.caseData.history),
+  asyncHandler(async (req, res) => {
+    const { courthouse } = req.query;
+
+    const caseNumber = canonicalCaseNumber(req.params.caseNumber);
+    const history = await CaseHistory.find({ caseNumber, ...(courthouse && { courthouse }) })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ success: true, caseNumber, history });
+  })
+);
+
+router.get(
+  '/case/stats/:caseNumber',
+  validate(schemas.caseData.stats),
+  asyncHandler(async (req, res) => {
+    const caseNumber = canonicalCaseNumber(req.params.caseNumber);
+    const stats = await CaseStatistics.findOne({ caseNumber });
+    if (!stats) {
+      return res.status(404).json({ success: false, error: 'Not found' });
+    }
+
+    const eta = await calculateEstimatedWaitTime(caseNumber);
+    res.json({
+      success: true,
+      statistics: {
+        ...stats.toObject(),
+        estimatedWaitTime: eta ? eta.estimatedWaitMinutes : null
+      },
+      eta
+    });
+  })
+);
 
 /* ==================== ANALYTICS ==================== */
 
-router.get('/analytics/overview', async (req, res) => {
+router.get('/analytics/overview', asyncHandler(async (req, res) => {
   const [watchlists, devices, cases] = await Promise.all([
     Watchlist.countDocuments({ isActive: true }),
     Device.countDocuments({ isActive: true }),
@@ -228,19 +709,49 @@ router.get('/analytics/overview', async (req, res) => {
       totalCases: cases
     }
   });
-});
+}));
+
+router.get(
+  '/analytics/courts/:courtNumber',
+  validate(schemas.analytics.court),
+  asyncHandler(async (req, res) => {
+    const analytics = await getCourtAnalytics(req.params.courtNumber, req.query);
+    if (!analytics) {
+      return res.status(404).json({ success: false, error: 'No data for this court' });
+    }
+
+    res.json({ success: true, analytics });
+  })
+);
+
+router.get(
+  '/analytics/judges/:name',
+  validate(schemas.analytics.judge),
+  asyncHandler(async (req, res) => {
+    const analytics = await getJudgeAnalytics(req.params.name, req.query);
+    if (!analytics) {
+      return res.status(404).json({ success: false, error: 'No data for this judge' });
+    }
+
+    res.json({ success: true, analytics });
+  })
+);
 
 /* ==================== DEBUG (DEV ONLY) ==================== */
 
 if (isDev()) {
-  router.post('/debug/test-notification', async (req, res) => {
-    const result = await sendNotification(
-      req.body.fcmToken,
-      { title: 'Test', body: 'Debug notification' },
-      { debug: true }
-    );
-    res.json({ success: true, result });
-  });
+  router.post(
+    '/debug/test-notification',
+    validate(schemas.debug.testNotification),
+    asyncHandler(async (req, res) => {
+      const result = await sendNotification(
+        req.body.fcmToken,
+        { title: 'Test', body: 'Debug notification' },
+        { debug: true }
+      );
+      res.json({ success: true, result });
+    })
+  );
 }
 
 /* ==================== HEALTH ==================== */
@@ -0,0 +1,170 @@
+/**
+ * Recomputes CaseStatistics from CaseHistory.
+ *
+ *   node scripts/backfillCaseStatistics.js [--dry-run]
+ *
+ * Statistics used to count every board change as an appearance. Here
+ * appearances are distinct hearing days and statusHistory keeps status or
+ * court changes only. Hearing totals come from the Hearing collection;
+ * history older than the first tracked hearing is replayed to rebuild
+ * them. watchCount and estimatedWaitTime are left alone.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const logger = require('../config/logger');
+const { CaseHistory, CaseStatistics, Hearing } = require('../models');
+const { hearingsFromHistory } = require('../services/sessionBuilderService');
+const { statisticsFromHistory } = require('../services/caseStatisticsService');
+const { DEFAULT_COURTHOUSE } = require('../services/courthouses');
+const { hearingDateFor } = require('../utils/hearing');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const BATCH_SIZE = 500;
+
+const EVENT_FIELDS = {
+  caseNumber: 1,
+  courthouse: 1,
+  courtNumber: 1,
+  judgeName: 1,
+  benchType: 1,
+  status: 1,
+  position: 1,
+  scrapedAt: 1
+};
+
+// caseNumber -> { hearings, duration }
+const hearingTotals = new Map();
+
+function addHearing(caseNumber, duration) {
+  const totals = hearingTotals.get(caseNumber) || { hearings: 0, duration: 0 };
+  totals.hearings++;
+  totals.duration += duration;
+  hearingTotals.set(caseNumber, totals);
+}
+
+/**
+ * Closed hearings from the Hearing collection. Resolves to the start of
+ * the first one, before which hearings have to be replayed.
+ */
+async function loadTrackedHearings() {
+  const [first] = await Hearing.find({}, { startedAt: 1 }).sort({ startedAt: 1 }).limit(1).lean();
+
+  const cursor = Hearing.find({ endedAt: { $ne: null } }, { caseNumber: 1, duration: 1 })
+    .lean()
+    .cursor();
+
+  let count = 0;
+  for await (const hearing of cursor) {
+    addHearing(hearing.caseNumber, hearing.duration || 0);
+    count++;
+  }
+
+  logger.info(`Hearing: ${count} tracked hearings`);
+  return first ? first.startedAt : null;
+}
+
+/**
+ * Replays CaseHistory before `cutoff` one court-day at a time.
+ */
+async function replayHistoricalHearings(cutoff) {
+  const cursor = CaseHistory.find(cutoff ? { scrapedAt: { $lt: cutoff } } : {}, EVENT_FIELDS)
+    .sort({ courthouse: 1, courtNumber: 1, scrapedAt: 1 })
+    .allowDiskUse(true)
+    .lean()
+    .cursor();
+
+  let count = 0;
+  let group = null;
+  let events = [];
+
+  const flush = () => {
+    if (!events.length) return;
+    for (const hearing of hearingsFromHistory(events[0].courthouse || DEFAULT_COURTHOUSE, events)) {
+      addHearing(hearing.caseNumber, hearing.duration);
+      count++;
+    }
+    events = [];
+  };
+
+  for await (const event of cursor) {
+    if (!event.courtNumber) continue;
+
+    const key = `${event.courthouse}|${event.courtNumber}|${hearingDateFor(event.scrapedAt)}`;
+    if (key !== group) {
+      flush();
+      group = key;
+    }
+    events.push(event);
+  }
+  flush();
+
+  logger.info(`CaseHistory: ${count} hearings replayed${cutoff ? ` before ${cutoff.toISOString()}` : ''}`);
+}
+
+async function writeStatistics(ops) {
+  if (!ops.length || DRY_RUN) return;
+  await CaseStatistics.bulkWrite(ops, { ordered: false });
+}
+
+async function rebuildStatistics() {
+  const cursor = CaseHistory.find({}, EVENT_FIELDS)
+    .sort({ caseNumber: 1, scrapedAt: 1 })
+    .allowDiskUse(true)
+    .lean()
+    .cursor();
+
+  let rebuilt = 0;
+  let caseNumber = null;
+  let events = [];
+  let ops = [];
+
+  const flush = async () => {
+    if (!events.length) return;
+
+    ops.push({
+      updateOne: {
+        filter: { caseNumber },
+        update: { $set: statisticsFromHistory(events, hearingTotals.get(caseNumber)) },
+        upsert: true
+      }
+    });
+    rebuilt++;
+    events = [];
+
+    if (ops.length >= BATCH_SIZE) {
+      await writeStatistics(ops);
+      ops = [];
+    }
+  };
+
+  for await (const event of cursor) {
+    if (event.caseNumber !== caseNumber) {
+      await flush();
+      caseNumber = event.caseNumber;
+    }
+    events.push(event);
+  }
+  await flush();
+  await writeStatistics(ops);
+
+  logger.info(`CaseStatistics: ${rebuilt} cases recomputed`);
+}
+
+async function main() {
+  await connectDB();
+
+  if (DRY_RUN) logger.info('Dry run: no documents will be modified');
+
+  const cutoff = await loadTrackedHearings();
+  await replayHistoricalHearings(cutoff);
+  await rebuildStatistics();
+}
+
+main()
+  .catch((err) => {
+    logger.error('Case statistics backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
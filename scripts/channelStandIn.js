@@ -0,0 +1,137 @@
+/**
+ * Local stand-ins for the email, SMS and webhook channels, so alerts can
+ * be delivered end to end without real providers:
+ *
+ *   npm run channels:standin -- [--http-port 4020] [--smtp-port 2525]
+ *                               [--webhook-secret <secret>] [--status 503]
+ *
+ *   SMTP_HOST=localhost SMTP_PORT=2525 SMTP_FROM=alerts@localhost
+ *   SMS_GATEWAY_URL=http://localhost:4020/sms
+ *   webhook url: http://localhost:4020/webhook (with WEBHOOK_ALLOW_PRIVATE=true)
+ *
+ * Every message is logged. With --webhook-secret the webhook signature
+ * is checked (401 when it does not match); --status makes the HTTP
+ * endpoints answer with that status to exercise retries.
+ */
+const http = require('http');
+const net = require('net');
+const logger = require('../config/logger');
+const { verifySignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../services/channels/webhook');
+
+const arg = (name, fallback) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 ? process.argv[i + 1] : fallback;
+};
+
+const HTTP_PORT = parseInt(arg('http-port', '4020'), 10);
+const SMTP_PORT = parseInt(arg('smtp-port', '2525'), 10);
+const WEBHOOK_SECRET = arg('webhook-secret', null);
+const FORCED_STATUS = arg('status', null) ? parseInt(arg('status'), 10) : null;
+
+let received = 0;
+
+/* ==================== HTTP (SMS + WEBHOOK) ==================== */
+
+const httpServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const reply = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (FORCED_STATUS) {
+      logger.info(`[${req.url}] forced ${FORCED_STATUS}`);
+      return reply(FORCED_STATUS, { error: 'forced' });
+    }
+
+    if (req.method !== 'POST' || !['/sms', '/webhook'].includes(req.url)) {
+      return reply(404, { error: 'not found' });
+    }
+
+    if (req.url === '/webhook' && WEBHOOK_SECRET) {
+      const ok = verifySignature(
+        WEBHOOK_SECRET,
+        req.headers[TIMESTAMP_HEADER.toLowerCase()],
+        body,
+        req.headers[SIGNATURE_HEADER.toLowerCase()]
+      );
+      if (!ok) {
+        logger.warn('[webhook] bad signature');
+        return reply(401, { error: 'bad signature' });
+      }
+    }
+
+    received++;
+    logger.info(`[${req.url.slice(1)}] ${body}`);
+    reply(200, { id: `standin-${received}` });
+  });
+});
+
+/* ==================== SMTP ==================== */
+
+// Just enough SMTP for nodemailer: no TLS, no auth
+const smtpServer = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: null, to: [] };
+
+  const send = line => socket.write(`${line}\r\n`);
+  send('220 localhost stand-in SMTP');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    while (buffer.length) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+
+        const message = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        received++;
+
+        const subject = (message.match(/^Subject: (.*)$/mi) || [])[1] || '';
+        logger.info(`[email] ${envelope.from} -> ${envelope.to.join(', ')}: ${subject}`);
+        envelope = { from: null, to: [] };
+        send(`250 OK queued as standin-${received}`);
+        continue;
+      }
+
+      const eol = buffer.indexOf('\r\n');
+      if (eol === -1) return;
+
+      const line = buffer.slice(0, eol);
+      buffer = buffer.slice(eol + 2);
+      const command = line.slice(0, 4).toUpperCase();
+
+      if (command === 'EHLO' || command === 'HELO') send('250 localhost');
+      else if (command === 'MAIL') { envelope.from = line.slice(10); send('250 OK'); }
+      else if (command === 'RCPT') { envelope.to.push(line.slice(8)); send('250 OK'); }
+      else if (command === 'DATA') { inData = true; send('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (command === 'RSET') { envelope = { from: null, to: [] }; send('250 OK'); }
+      else if (command === 'NOOP') send('250 OK');
+      else if (command === 'QUIT') { send('221 Bye'); socket.end(); }
+      else send('502 Command not implemented');
+    }
+  });
+
+  socket.on('error', () => {});
+});
+
+httpServer.listen(HTTP_PORT, () => {
+  logger.info(`SMS_GATEWAY_URL=http://localhost:${HTTP_PORT}/sms`);
+  logger.info(`Webhook URL:     http://localhost:${HTTP_PORT}/webhook`);
+});
+
+smtpServer.listen(SMTP_PORT, () => {
+  logger.info(`SMTP_HOST=localhost SMTP_PORT=${SMTP_PORT}`);
+});
+
+process.on('SIGINT', () => {
+  logger.info(`Received ${received} messages`);
+  httpServer.close();
+  smtpServer.close(() => process.exit(0));
+});
@@ -0,0 +1,55 @@
+/**
+ * Serves a Gujarat High Court fixture directory over HTTP so the scraper
+ * can run unmodified against it:
+ *
+ *   npm run fixtures:serve -- <dir> [--port 4010] [--loop]
+ *   COURT_BASE_URL=http://localhost:4010/ npm start
+ *
+ * Every indexrequest.php hit advances one frame (304 for not-modified
+ * frames); the board page returns the current frame's HTML.
+ */
+const http = require('http');
+const logger = require('../config/logger');
+const { createFixtureSource } = require('../services/courthouses/replay');
+
+const dir = process.argv[2];
+if (!dir) {
+  logger.error('Usage: fixtureServer.js <dir> [--port 4010] [--loop]');
+  process.exit(1);
+}
+
+const portIndex = process.argv.indexOf('--port');
+const PORT = portIndex !== -1 ? parseInt(process.argv[portIndex + 1], 10) : 4010;
+
+const source = createFixtureSource(dir, { loop: process.argv.includes('--loop') });
+let current = { xhr: [], html: '' };
+let served = 0;
+
+const server = http.createServer((req, res) => {
+  if (req.url.includes('indexrequest.php')) {
+    const frame = source.next();
+    served++;
+
+    if (frame.notModified) {
+      res.writeHead(304);
+      return res.end();
+    }
+
+    current = frame;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(typeof frame.xhr === 'string' ? frame.xhr : JSON.stringify(frame.xhr));
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(current.html || '');
+});
+
+server.listen(PORT, () => {
+  logger.info(`Serving ${source.length} fixture frames from ${dir}`);
+  logger.info(`COURT_BASE_URL=http://localhost:${PORT}/`);
+});
+
+process.on('SIGINT', () => {
+  logger.info(`Served ${served} frames`);
+  server.close(() => process.exit(0));
+});
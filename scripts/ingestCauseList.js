@@ -0,0 +1,33 @@
+/**
+ * Manual cause-list ingestion.
+ *
+ *   npm run causelist -- [source] [YYYY-MM-DD]
+ *
+ * `source` is a URL or a local HTML/PDF file; defaults to the courthouse
+ * adapter's causeListSource (CAUSE_LIST_URL / CAUSE_LIST_PATH).
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const logger = require('../config/logger');
+const { ingestCauseList } = require('../services/causeListService');
+
+async function main() {
+  const [source, date] = process.argv.slice(2);
+
+  await connectDB();
+
+  const result = await ingestCauseList({
+    source: source || undefined,
+    date: date ? new Date(`${date}T12:00:00+05:30`) : new Date()
+  });
+
+  logger.info(`Cause list ingestion finished: ${JSON.stringify(result)}`);
+}
+
+main()
+  .catch((err) => {
+    logger.error('Cause list ingestion failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
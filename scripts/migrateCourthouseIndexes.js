@@ -0,0 +1,67 @@
+/**
+ * One-off migration: scopes unique keys by courthouse, so courthouses
+ * that share court or case numbers no longer clash on each other's rows.
+ *
+ *   node scripts/migrateCourthouseIndexes.js [--dry-run]
+ *
+ * Fills in the courthouse on rows stored without one, drops the old
+ * global unique indexes and builds the courthouse-scoped ones.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const logger = require('../config/logger');
+const { CauseListEntry, CurrentCourt, Watchlist } = require('../models');
+const { DEFAULT_COURTHOUSE } = require('../services/courthouses');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const MIGRATIONS = [
+  { model: CauseListEntry, legacyIndex: 'listDate_1_courtNumber_1_caseNumber_1_listType_1' },
+  { model: CurrentCourt, legacyIndex: 'courtCode_1' },
+  { model: Watchlist, legacyIndex: 'deviceId_1_caseNumber_1' }
+];
+
+async function backfillCourthouse(model) {
+  const filter = { courthouse: { $in: [null, ''] } };
+
+  const count = DRY_RUN
+    ? await model.countDocuments(filter)
+    : (await model.updateMany(filter, { $set: { courthouse: DEFAULT_COURTHOUSE } })).modifiedCount;
+
+  logger.info(`${model.modelName}: ${count} rows given courthouse ${DEFAULT_COURTHOUSE}`);
+}
+
+async function dropLegacyIndex(model, name) {
+  const indexes = await model.collection.indexes();
+  if (!indexes.some(i => i.name === name)) {
+    logger.info(`${model.modelName}: index ${name} already gone`);
+    return;
+  }
+
+  if (!DRY_RUN) await model.collection.dropIndex(name);
+  logger.info(`${model.modelName}: dropped index ${name}`);
+}
+
+async function main() {
+  await connectDB();
+
+  if (DRY_RUN) logger.info('Dry run: no documents will be modified');
+
+  for (const { model, legacyIndex } of MIGRATIONS) {
+    await backfillCourthouse(model);
+    await dropLegacyIndex(model, legacyIndex);
+
+    if (!DRY_RUN) {
+      await model.createIndexes();
+      logger.info(`${model.modelName} indexes built`);
+    }
+  }
+}
+
+main()
+  .catch((err) => {
+    logger.error('Courthouse index migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
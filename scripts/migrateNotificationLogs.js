@@ -0,0 +1,92 @@
+/**
+ * One-off migration: moves NotificationLog de-duplication from
+ * (device, case, type, court) to per-hearing keys.
+ *
+ *   node scripts/migrateNotificationLogs.js [--dry-run]
+ *
+ * Drops the old unique index, which blocked every alert after a case's
+ * first hearing, and backfills channel, courtNumber, hearingDate and
+ * hearingKey on existing logs before building the new index.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const logger = require('../config/logger');
+const { NotificationLog } = require('../models');
+const { hearingDateFor, hearingKey } = require('../utils/hearing');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const LEGACY_INDEX = 'deviceId_1_caseNumber_1_notificationType_1_courtNumber_1';
+
+async function dropLegacyIndex() {
+  const indexes = await NotificationLog.collection.indexes();
+  if (!indexes.some(i => i.name === LEGACY_INDEX)) {
+    logger.info('Legacy de-duplication index already gone');
+    return;
+  }
+
+  if (!DRY_RUN) await NotificationLog.collection.dropIndex(LEGACY_INDEX);
+  logger.info(`Dropped index ${LEGACY_INDEX}`);
+}
+
+async function backfillLogs() {
+  let updated = 0;
+  let duplicates = 0;
+
+  const cursor = NotificationLog.find({ hearingKey: null }).lean().cursor();
+
+  for await (const log of cursor) {
+    const courtNumber = log.courtNumber || (log.data && log.data.courtNumber) || null;
+    const date = log.sentAt || log.createdAt;
+
+    const $set = {
+      channel: log.channel || 'fcm',
+      courtNumber,
+      hearingDate: hearingDateFor(date),
+      hearingKey: hearingKey({ date, courtNumber, caseNumber: log.caseNumber }),
+      ...(!log.status && { status: log.success === false ? 'failed' : 'sent' })
+    };
+
+    if (DRY_RUN) {
+      updated++;
+      continue;
+    }
+
+    try {
+      await NotificationLog.updateOne({ _id: log._id }, { $set });
+      updated++;
+    } catch (err) {
+      // Same alert already logged for that hearing; keep this one unkeyed
+      if (err.code !== 11000) throw err;
+      await NotificationLog.updateOne(
+        { _id: log._id },
+        { $set: { ...$set, hearingKey: null } }
+      );
+      duplicates++;
+    }
+  }
+
+  logger.info(`NotificationLog: ${updated} backfilled, ${duplicates} duplicates left unkeyed`);
+}
+
+async function main() {
+  await connectDB();
+
+  if (DRY_RUN) logger.info('Dry run: no documents will be modified');
+
+  await dropLegacyIndex();
+  await backfillLogs();
+
+  if (!DRY_RUN) {
+    await NotificationLog.createIndexes();
+    logger.info('NotificationLog indexes built');
+  }
+}
+
+main()
+  .catch((err) => {
+    logger.error('Notification log migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
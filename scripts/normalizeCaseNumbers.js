@@ -0,0 +1,161 @@
+/**
+ * One-off migration: rewrites stored case numbers into canonical form.
+ *
+ *   node scripts/normalizeCaseNumbers.js [--dry-run]
+ *
+ * Watchlist duplicates that collapse onto the same canonical case for a
+ * device are folded into one watch: the active one's settings are kept on
+ * the canonical row and the other is deactivated (and no longer counted as
+ * a watcher); CaseStatistics duplicates are merged. Watches are re-keyed
+ * from the number as the user entered it when it was kept.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const logger = require('../config/logger');
+const { Watchlist, CaseHistory, CaseStatistics } = require('../models');
+const { canonicalCaseNumber } = require('../utils/caseNumber');
+const { adjustWatchCount } = require('../services/watchlistService');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// What an active duplicate carries over to the canonical watch it folds into
+function carriedSettings(watch) {
+  return {
+    nickname: watch.nickname,
+    notificationSettings: watch.toObject().notificationSettings,
+    isPaused: watch.isPaused,
+    pausedUntil: watch.pausedUntil
+  };
+}
+
+async function normalizeWatchlists() {
+  let updated = 0;
+  let deactivated = 0;
+
+  for await (const watch of Watchlist.find({}).cursor()) {
+    const canonical = canonicalCaseNumber(watch.caseNumberRaw || watch.caseNumber);
+    if (!canonical || canonical === watch.caseNumber) continue;
+
+    const clash = await Watchlist.findOne({
+      _id: { $ne: watch._id },
+      deviceId: watch.deviceId,
+      courthouse: watch.courthouse,
+      caseNumber: canonical
+    });
+
+    if (DRY_RUN) {
+      clash ? deactivated++ : updated++;
+      continue;
+    }
+
+    if (clash) {
+      // Keep whichever watch is active; an active duplicate of an inactive
+      // canonical watch revives it with its own settings
+      if (watch.isActive && !clash.isActive) {
+        await Watchlist.updateOne(
+          { _id: clash._id },
+          { $set: { isActive: true, removedAt: null, ...carriedSettings(watch) } }
+        );
+        await adjustWatchCount(canonical, 1);
+      }
+      await Watchlist.updateOne({ _id: watch._id }, { $set: { isActive: false } });
+      if (watch.isActive) await adjustWatchCount(watch.caseNumber, -1);
+      deactivated++;
+      continue;
+    }
+
+    await Watchlist.updateOne(
+      { _id: watch._id },
+      {
+        $set: {
+          caseNumber: canonical,
+          caseNumberRaw: watch.caseNumberRaw || watch.caseNumber
+        }
+      }
+    );
+    updated++;
+  }
+
+  logger.info(`Watchlist: ${updated} normalised, ${deactivated} duplicates deactivated`);
+}
+
+async function normalizeHistory() {
+  const raw = await CaseHistory.distinct('caseNumber');
+  let updated = 0;
+
+  for (const caseNumber of raw) {
+    const canonical = canonicalCaseNumber(caseNumber);
+    if (!canonical || canonical === caseNumber) continue;
+
+    if (!DRY_RUN) {
+      const res = await CaseHistory.updateMany({ caseNumber }, { $set: { caseNumber: canonical } });
+      updated += res.modifiedCount;
+    } else {
+      updated += await CaseHistory.countDocuments({ caseNumber });
+    }
+  }
+
+  logger.info(`CaseHistory: ${updated} events normalised`);
+}
+
+async function normalizeStatistics() {
+  let updated = 0;
+  let merged = 0;
+
+  for await (const stats of CaseStatistics.find({}).cursor()) {
+    const canonical = canonicalCaseNumber(stats.caseNumber);
+    if (!canonical || canonical === stats.caseNumber) continue;
+
+    const target = await CaseStatistics.findOne({ caseNumber: canonical });
+
+    if (DRY_RUN) {
+      target ? merged++ : updated++;
+      continue;
+    }
+
+    if (!target) {
+      await CaseStatistics.updateOne({ _id: stats._id }, { $set: { caseNumber: canonical } });
+      updated++;
+      continue;
+    }
+
+    await CaseStatistics.updateOne(
+      { _id: target._id },
+      {
+        $inc: {
+          watchCount: stats.watchCount || 0,
+          totalAppearances: stats.totalAppearances || 0,
+          totalDuration: stats.totalDuration || 0
+        },
+        $addToSet: {
+          courts: { $each: stats.courts || [] },
+          judges: { $each: stats.judges || [] }
+        },
+        $min: { firstSeen: stats.firstSeen || target.firstSeen },
+        $max: { lastSeen: stats.lastSeen || target.lastSeen }
+      }
+    );
+    await CaseStatistics.deleteOne({ _id: stats._id });
+    merged++;
+  }
+
+  logger.info(`CaseStatistics: ${updated} normalised, ${merged} merged`);
+}
+
+async function main() {
+  await connectDB();
+
+  if (DRY_RUN) logger.info('Dry run: no documents will be modified');
+
+  await normalizeWatchlists();
+  await normalizeHistory();
+  await normalizeStatistics();
+}
+
+main()
+  .catch((err) => {
+    logger.error('Case number migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
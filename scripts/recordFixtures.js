@@ -0,0 +1,52 @@
+/**
+ * Records live courthouse responses into a replayable fixture directory.
+ *
+ *   npm run fixtures:record -- <dir> [--frames 20] [--interval 30000] [--courthouse ghc]
+ *
+ * Each fetch() result (e.g. XHR JSON + board HTML) becomes one frame in
+ * <dir>/manifest.json. Replay with COURT_REPLAY_DIR=<dir> or
+ * `npm run fixtures:replay -- <dir>`.
+ */
+require('dotenv').config();
+const logger = require('../config/logger');
+const { getAdapter, getDefaultAdapter } = require('../services/courthouses');
+const { createFixtureRecorder } = require('../services/courthouses/replay');
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  const dir = process.argv[2];
+  if (!dir || dir.startsWith('--')) {
+    throw new Error('Usage: recordFixtures.js <dir> [--frames N] [--interval ms] [--courthouse id]');
+  }
+
+  const frames = parseInt(option('frames', '20'), 10);
+  const interval = parseInt(option('interval', '30000'), 10);
+  const adapter = option('courthouse')
+    ? getAdapter(option('courthouse'))
+    : getDefaultAdapter();
+
+  if (!adapter) throw new Error(`Unknown courthouse: ${option('courthouse')}`);
+
+  const recorder = createFixtureRecorder(dir, adapter);
+
+  for (let i = 1; i <= frames; i++) {
+    const raw = await adapter.fetch();
+    recorder.record(raw);
+    logger.info(`Recorded frame ${i}/${frames}${raw.notModified ? ' (not modified)' : ''}`);
+
+    if (i < frames) await sleep(interval);
+  }
+
+  logger.info(`Fixtures written to ${dir}`);
+}
+
+main().catch((err) => {
+  logger.error('Fixture recording failed:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,49 @@
+/**
+ * Replays a fixture directory through the full scrape pipeline
+ * (upsertCurrentCourts -> processCaseUpdates -> broadcasts), frame by frame.
+ *
+ *   MONGODB_URI=mongodb://localhost/court-replay npm run fixtures:replay -- <dir>
+ *
+ * Use a scratch database: replay writes history, statistics and watchlist
+ * state exactly like a live run. Scrape times come from the recording, so
+ * the same fixtures always produce the same records.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const logger = require('../config/logger');
+const { getAdapter } = require('../services/courthouses');
+const { createFixtureSource, createReplayAdapter } = require('../services/courthouses/replay');
+const { runScrapeCycle } = require('../services/cronService');
+
+async function main() {
+  const dir = process.argv[2];
+  if (!dir) throw new Error('Usage: replayFixtures.js <dir>');
+
+  const { manifest } = createFixtureSource(dir);
+  const base = getAdapter(manifest.courthouse || 'ghc');
+  if (!base) throw new Error(`Unknown courthouse in manifest: ${manifest.courthouse}`);
+
+  const adapter = createReplayAdapter(base, dir);
+
+  await connectDB();
+
+  let frame = 0;
+  while (!adapter.replay.done) {
+    frame++;
+    const { changedCourts, scrapedAt, skipped } = await runScrapeCycle(adapter);
+    logger.info(
+      `Frame ${frame}/${adapter.replay.length} @ ${scrapedAt}: ` +
+      (skipped ? 'no changes' : `${changedCourts.length} changed courts`)
+    );
+  }
+
+  logger.info(`Replay of ${dir} finished`);
+}
+
+main()
+  .catch((err) => {
+    logger.error('Fixture replay failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,14 +7,20 @@ const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
 const logger = require('./config/logger');
 const apiRoutes = require('./routes/api');
+const { errorHandler } = require('./middleware/errorHandler');
 const { initializeWebSocket } = require('./services/websocketService');
 const { initializeFirebase } = require('./services/fcmService');
 const {
-  startRealtimeScraper,
-  startSnapshotScheduler,
-  startCleanupScheduler,
+  startSchedulers,
+  stopSchedulers,
   getScraperStatus
 } = require('./services/cronService');
+const { startCacheSync, stopCacheSync } = require('./services/courtCacheService');
+const { startElection, stopElection, getLeaderStatus } = require('./services/leaderService');
+const { startCalendarSync, stopCalendarSync } = require('./services/courtCalendarService');
+
+const SCRAPER_ROLE = 'scraper';
+const CACHE_SYNC_INTERVAL = parseInt(process.env.SCRAPER_INTERVAL, 10) || 30000;
 
 /* -------------------- APP SETUP -------------------- */
 
@@ -34,7 +40,7 @@ app.use(
 
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
 }));
 
 app.use(express.json({ limit: '1mb' }));
@@ -57,20 +63,25 @@ app.use('/api', apiLimiter);
 app.use('/api', apiRoutes);
 
 // Health endpoint (real signal, not vanity)
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   const scraper = getScraperStatus();
   res.json({
     status: 'ok',
     uptime: process.uptime(),
     memory: process.memoryUsage().rss,
     scraper,
+    leader: await getLeaderStatus(SCRAPER_ROLE).catch(() => null),
     timestamp: new Date().toISOString()
   });
 });
 
 // Scraper status (internal visibility)
-app.get('/api/scraper/status', (req, res) => {
-  res.json({ success: true, ...getScraperStatus() });
+app.get('/api/scraper/status', async (req, res) => {
+  res.json({
+    success: true,
+    ...getScraperStatus(),
+    leader: await getLeaderStatus(SCRAPER_ROLE).catch(() => null)
+  });
 });
 
 // Root
@@ -84,13 +95,7 @@ app.get('/', (_, res) => {
 
 /* -------------------- ERROR HANDLING -------------------- */
 
-app.use((err, req, res, next) => {
-  logger.error('Unhandled request error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error'
-  });
-});
+app.use(errorHandler);
 
 app.use((req, res) => {
   res.status(404).json({ success: false, error: 'Endpoint not found' });
@@ -111,12 +116,27 @@ async function startServer() {
     initializeWebSocket(server);
     logger.info('✓ WebSocket initialized');
 
-    // 🚨 IMPORTANT: run scrapers ONLY in primary instance
+    // Sitting hours and holidays, kept in sync with admin changes
+    startCalendarSync();
+
+    // Followers serve the board the leader writes to CurrentCourt
+    startCacheSync(CACHE_SYNC_INTERVAL);
+
+    // 🚨 IMPORTANT: only the lease holder scrapes; others take over on failure
     if (process.env.ENABLE_SCRAPER !== 'false') {
-      startRealtimeScraper();
-      startSnapshotScheduler();
-      startCleanupScheduler();
-      logger.info('✓ Schedulers started');
+      startElection(SCRAPER_ROLE, {
+        onAcquire: () => {
+          stopCacheSync();
+          startSchedulers();
+          logger.info('✓ Schedulers started (leader)');
+        },
+        onLose: () => {
+          stopSchedulers();
+          startCacheSync(CACHE_SYNC_INTERVAL);
+          logger.warn('Schedulers stopped (no longer leader)');
+        }
+      });
+      logger.info('✓ Scraper leader election started');
     } else {
       logger.warn('Scraper disabled for this instance');
     }
@@ -130,7 +150,8 @@ async function startServer() {
 HTTP     : http://localhost:${PORT}
 WebSocket: ws://localhost:${PORT}
 Env      : ${process.env.NODE_ENV || 'development'}
-Scraper  : ${process.env.ENABLE_SCRAPER !== 'false' ? 'ENABLED' : 'DISABLED'}
+Scraper  : ${process.env.ENABLE_SCRAPER !== 'false' ? 'ELECTION' : 'DISABLED'}
+Sockets  : ${process.env.SOCKET_ADAPTER === 'mongo' ? 'MONGO ADAPTER' : 'LOCAL'}
 ══════════════════════════════════════════════
       `);
     });
@@ -148,6 +169,11 @@ async function shutdown(signal) {
 
   logger.warn(`${signal} received — shutting down gracefully`);
 
+  // Hand the scraper over without waiting for the lease to expire
+  await stopElection(SCRAPER_ROLE).catch(err => logger.error('Lease release failed', err));
+  stopCacheSync();
+  stopCalendarSync();
+
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
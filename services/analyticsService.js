@@ -0,0 +1,351 @@
+const { CaseHistory, CourtSnapshot, Hearing } = require('../models');
+const { DEFAULT_COURTHOUSE } = require('./courthouses');
+const { getCalendar, courtDate, dayRange, addDays } = require('./courtCalendarService');
+
+/**
+ * Court and judge analytics, all computed in MongoDB:
+ *
+ *   CaseHistory    cases called per day, when each day's sitting began/ended
+ *   Hearing        hearing lengths, throughput by hour, bench types
+ *   CourtSnapshot  recess patterns (share of 5-minute samples in recess)
+ *
+ * Times of day are in the courthouse's calendar timezone.
+ */
+
+const DEFAULT_RANGE_DAYS = 30;
+
+/* ==================== HELPERS ==================== */
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * HH:MM for a minute of the day, or null.
+ */
+function clockTime(minutes) {
+  if (minutes === null || minutes === undefined) return null;
+  const rounded = Math.round(minutes);
+  return `${String(Math.floor(rounded / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+function localDay(field, timezone) {
+  return { $dateToString: { format: '%Y-%m-%d', date: field, timezone } };
+}
+
+function localHour(field, timezone) {
+  return { $hour: { date: field, timezone } };
+}
+
+function minuteOfDay(field, timezone) {
+  return {
+    $add: [
+      { $multiply: [{ $hour: { date: field, timezone } }, 60] },
+      { $minute: { date: field, timezone } }
+    ]
+  };
+}
+
+function round(expression, places = 0) {
+  return { $round: [expression, places] };
+}
+
+/**
+ * `from`/`to` (YYYY-MM-DD, inclusive) resolved against court time; by
+ * default the last DEFAULT_RANGE_DAYS days.
+ */
+function resolveRange(courthouse, { from, to } = {}) {
+  to = to || courtDate(courthouse);
+  from = from || addDays(to, 1 - DEFAULT_RANGE_DAYS);
+  return { from, to, ...dayRange(courthouse, from, to) };
+}
+
+/* ==================== PIPELINES ==================== */
+
+/**
+ * Distinct cases called per day and the first/last board change of each
+ * day (the sitting's start and end).
+ */
+function sittingDays(match, timezone) {
+  return CaseHistory.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: localDay('$scrapedAt', timezone),
+        cases: {
+          $addToSet: { $cond: [{ $eq: ['$status', 'IN_SESSION'] }, '$caseNumber', '$$REMOVE'] }
+        },
+        firstAt: { $min: '$scrapedAt' },
+        lastAt: { $max: '$scrapedAt' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        date: '$_id',
+        cases: { $size: '$cases' },
+        startMinute: minuteOfDay('$firstAt', timezone),
+        endMinute: minuteOfDay('$lastAt', timezone)
+      }
+    },
+    { $sort: { date: 1 } },
+    {
+      $facet: {
+        days: [],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              days: { $sum: 1 },
+              averageCases: { $avg: '$cases' },
+              averageStart: { $avg: '$startMinute' },
+              averageEnd: { $avg: '$endMinute' },
+              earliestStart: { $min: '$startMinute' },
+              latestEnd: { $max: '$endMinute' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+}
+
+/**
+ * Closed hearings: lengths, recesses, throughput per hour of the day and
+ * per bench type.
+ */
+function hearingStats(match, timezone) {
+  return Hearing.aggregate([
+    { $match: { ...match, endedAt: { $ne: null }, duration: { $ne: null } } },
+    {
+      $facet: {
+        overall: [
+          {
+            $group: {
+              _id: null,
+              hearings: { $sum: 1 },
+              days: { $addToSet: '$hearingDate' },
+              averageDuration: { $avg: '$duration' },
+              minDuration: { $min: '$duration' },
+              maxDuration: { $max: '$duration' },
+              recesses: { $sum: '$recesses' },
+              hearingsWithRecess: { $sum: { $cond: [{ $gt: ['$recesses', 0] }, 1, 0] } },
+              averagePausedSeconds: { $avg: '$pausedSeconds' }
+            }
+          },
+          { $set: { days: { $size: '$days' } } }
+        ],
+        byHour: [
+          {
+            $group: {
+              _id: localHour('$startedAt', timezone),
+              hearings: { $sum: 1 },
+              averageDuration: { $avg: '$duration' }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        byBench: [
+          {
+            $group: {
+              _id: { $ifNull: ['$benchType', 'UNKNOWN'] },
+              hearings: { $sum: 1 },
+              averageDuration: { $avg: '$duration' }
+            }
+          },
+          { $sort: { hearings: -1 } }
+        ]
+      }
+    },
+    { $set: { overall: { $first: '$overall' } } },
+    {
+      $project: {
+        overall: 1,
+        byHour: {
+          $map: {
+            input: '$byHour',
+            as: 'h',
+            in: {
+              hour: '$$h._id',
+              hearings: '$$h.hearings',
+              perDay: round({ $divide: ['$$h.hearings', { $max: ['$overall.days', 1] }] }, 1),
+              averageDuration: round('$$h.averageDuration')
+            }
+          }
+        },
+        byBench: {
+          $map: {
+            input: '$byBench',
+            as: 'b',
+            in: {
+              benchType: '$$b._id',
+              hearings: '$$b.hearings',
+              averageDuration: round('$$b.averageDuration')
+            }
+          }
+        }
+      }
+    }
+  ]);
+}
+
+/**
+ * Recess from snapshots: share of samples in recess per hour, and when
+ * the recess usually starts and ends on a court-day.
+ */
+function recessPattern(match, courtMatch, timezone) {
+  return CourtSnapshot.aggregate([
+    { $match: match },
+    { $unwind: '$courts' },
+    { $match: courtMatch },
+    { $set: { inRecess: { $eq: ['$courts.status', 'RECESS'] } } },
+    {
+      $facet: {
+        byHour: [
+          {
+            $group: {
+              _id: localHour('$snapshotTime', timezone),
+              samples: { $sum: 1 },
+              recess: { $sum: { $cond: ['$inRecess', 1, 0] } }
+            }
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              hour: '$_id',
+              samples: 1,
+              share: round({ $divide: ['$recess', '$samples'] }, 2)
+            }
+          }
+        ],
+        typical: [
+          { $match: { inRecess: true } },
+          {
+            $group: {
+              _id: {
+                day: localDay('$snapshotTime', timezone),
+                court: '$courts.courtNumber'
+              },
+              firstAt: { $min: '$snapshotTime' },
+              lastAt: { $max: '$snapshotTime' }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              courtDays: { $sum: 1 },
+              averageStart: { $avg: minuteOfDay('$firstAt', timezone) },
+              averageEnd: { $avg: minuteOfDay('$lastAt', timezone) }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+}
+
+/* ==================== REPORT ==================== */
+
+async function buildReport({ courthouse, range, historyMatch, hearingMatch, snapshotMatch, snapshotCourtMatch }) {
+  const { timezone } = getCalendar(courthouse || DEFAULT_COURTHOUSE);
+
+  const [[sitting], [hearings], [recess]] = await Promise.all([
+    sittingDays({ ...historyMatch, scrapedAt: { $gte: range.start, $lt: range.end } }, timezone),
+    hearingStats({ ...hearingMatch, startedAt: { $gte: range.start, $lt: range.end } }, timezone),
+    recessPattern(
+      { ...snapshotMatch, snapshotTime: { $gte: range.start, $lt: range.end } },
+      snapshotCourtMatch,
+      timezone
+    )
+  ]);
+
+  const days = sitting.totals[0] || null;
+  const overall = hearings.overall || null;
+  const typicalRecess = recess.typical[0] || null;
+
+  if (!days && !overall) return null;
+
+  return {
+    range: { from: range.from, to: range.to, timezone },
+    casesPerDay: {
+      average: days ? Math.round(days.averageCases * 10) / 10 : null,
+      sittingDays: days ? days.days : 0,
+      days: sitting.days.map(d => ({
+        date: d.date,
+        cases: d.cases,
+        sittingStart: clockTime(d.startMinute),
+        sittingEnd: clockTime(d.endMinute)
+      }))
+    },
+    sitting: {
+      averageStart: clockTime(days && days.averageStart),
+      averageEnd: clockTime(days && days.averageEnd),
+      earliestStart: clockTime(days && days.earliestStart),
+      latestEnd: clockTime(days && days.latestEnd)
+    },
+    hearings: {
+      total: overall ? overall.hearings : 0,
+      averageDuration: overall ? Math.round(overall.averageDuration) : null,
+      minDuration: overall ? overall.minDuration : null,
+      maxDuration: overall ? overall.maxDuration : null
+    },
+    recess: {
+      hearingsWithRecess: overall ? overall.hearingsWithRecess : 0,
+      averagePausedSeconds: overall ? Math.round(overall.averagePausedSeconds) : null,
+      typicalStart: clockTime(typicalRecess && typicalRecess.averageStart),
+      typicalEnd: clockTime(typicalRecess && typicalRecess.averageEnd),
+      byHour: recess.byHour
+    },
+    throughputByHour: hearings.byHour,
+    benches: hearings.byBench
+  };
+}
+
+/**
+ * Analytics for one court of a courthouse.
+ */
+async function getCourtAnalytics(courtNumber, { courthouse = DEFAULT_COURTHOUSE, from, to } = {}) {
+  const scope = { courthouse, courtNumber };
+
+  const report = await buildReport({
+    courthouse,
+    range: resolveRange(courthouse, { from, to }),
+    historyMatch: scope,
+    hearingMatch: scope,
+    snapshotMatch: { courthouse },
+    snapshotCourtMatch: { 'courts.courtNumber': courtNumber }
+  });
+
+  return report && { courthouse, courtNumber, ...report };
+}
+
+/**
+ * Analytics for a judge, matched case-insensitively on part of the name
+ * as the board prints it. `judges` lists the names that matched.
+ */
+async function getJudgeAnalytics(name, { courthouse = null, from, to } = {}) {
+  const judgeName = new RegExp(escapeRegex(name.trim()), 'i');
+  const scope = { judgeName, ...(courthouse && { courthouse }) };
+  const range = resolveRange(courthouse || DEFAULT_COURTHOUSE, { from, to });
+
+  const [report, judges, courts] = await Promise.all([
+    buildReport({
+      courthouse,
+      range,
+      historyMatch: scope,
+      hearingMatch: scope,
+      snapshotMatch: courthouse ? { courthouse } : {},
+      snapshotCourtMatch: { 'courts.judgeName': judgeName }
+    }),
+    CaseHistory.distinct('judgeName', { ...scope, scrapedAt: { $gte: range.start, $lt: range.end } }),
+    CaseHistory.distinct('courtNumber', { ...scope, scrapedAt: { $gte: range.start, $lt: range.end } })
+  ]);
+
+  return report && { judge: name, judges, courts, courthouse, ...report };
+}
+
+module.exports = {
+  getCourtAnalytics,
+  getJudgeAnalytics
+};
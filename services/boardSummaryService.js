@@ -0,0 +1,72 @@
+const { getListedPositions } = require('./causeListService');
+const { DEFAULT_COURTHOUSE } = require('./courthouses');
+
+/**
+ * Board metrics for the dashboard header, court snapshots and the
+ * court_update broadcast.
+ *
+ *   summary       court counts by state
+ *   queueLength   cause-list matters not yet passed on a court, the running
+ *                 one included (as totalInQueue on /courts/:n/queue);
+ *                 null without a cause list for that court
+ *   currentCase   case being heard (in session or in recess), or null
+ */
+
+/**
+ * Counts over a board. Synchronous, so it can run on every scrape.
+ */
+function summariseCourts(courts) {
+  const summary = { total: 0, live: 0, active: 0, inSession: 0, sittingOver: 0, recess: 0 };
+
+  for (const c of courts) {
+    summary.total++;
+    if (c.isLive) summary.live++;
+    if (c.isActive) summary.active++;
+    if (c.caseStatus === 'IN_SESSION') summary.inSession++;
+    else if (c.caseStatus === 'SITTING_OVER') summary.sittingOver++;
+    else if (c.caseStatus === 'RECESS') summary.recess++;
+  }
+
+  return summary;
+}
+
+function currentCaseOf(court) {
+  const hearing = court.caseStatus === 'IN_SESSION' || court.caseStatus === 'RECESS';
+  return hearing ? court.caseNumber || null : null;
+}
+
+function queueLengthOf(court, positions) {
+  if (!positions || !positions.length) return null;
+  if (court.queuePosition === null || court.queuePosition === undefined) return positions.length;
+  return positions.filter(p => p >= court.queuePosition).length;
+}
+
+/**
+ * Summary plus one entry per court, in the CourtSnapshot shape. Queue
+ * lengths come from each courthouse's cause list for `at`.
+ */
+async function summariseBoard(courts, at = new Date()) {
+  const courthouses = [...new Set(courts.map(c => c.courthouse || DEFAULT_COURTHOUSE))];
+
+  const listed = new Map(await Promise.all(
+    courthouses.map(async courthouse => [courthouse, await getListedPositions(at, courthouse)])
+  ));
+
+  return {
+    summary: summariseCourts(courts),
+    courts: courts.map(c => ({
+      courtNumber: c.courtNumber,
+      judgeName: c.judgeName || null,
+      caseNumber: c.caseNumber || null,
+      status: c.caseStatus || null,
+      isLive: !!c.isLive,
+      queueLength: queueLengthOf(c, listed.get(c.courthouse || DEFAULT_COURTHOUSE)[c.courtNumber]),
+      currentCase: currentCaseOf(c)
+    }))
+  };
+}
+
+module.exports = {
+  summariseCourts,
+  summariseBoard
+};
@@ -0,0 +1,190 @@
+const { CourtSnapshot, CaseHistory } = require('../models');
+const { DEFAULT_COURTHOUSE } = require('./courthouses');
+const { courtDate, dayRange } = require('./courtCalendarService');
+
+/**
+ * Past board states, for "was my matter actually called?".
+ *
+ * CourtSnapshot holds every court every 5 minutes; CaseHistory holds each
+ * change of a court showing a case, at scrape resolution. Both are merged:
+ * snapshots see courts without a case (sitting over, empty), history sees
+ * what happened between snapshots.
+ *
+ * Nothing carries over from one court day to the next.
+ */
+
+/* ==================== OBSERVATIONS ==================== */
+
+function fromSnapshot(court, at) {
+  return {
+    at,
+    source: 'snapshot',
+    courtNumber: court.courtNumber,
+    caseNumber: court.caseNumber || null,
+    status: court.status || null,
+    judgeName: court.judgeName || null,
+    isLive: !!court.isLive,
+    queuePosition: null
+  };
+}
+
+function fromHistory(event) {
+  return {
+    at: event.scrapedAt,
+    source: 'history',
+    courtNumber: event.courtNumber,
+    caseNumber: event.caseNumber,
+    status: event.status || null,
+    judgeName: event.judgeName || null,
+    isLive: !!event.isLive,
+    queuePosition: event.position ?? null
+  };
+}
+
+async function loadSnapshots(courthouse, start, end, courtNumber) {
+  const snapshots = await CourtSnapshot.find(
+    { courthouse, snapshotTime: { $gte: start, $lte: end } },
+    { snapshotTime: 1, courts: 1 }
+  )
+    .sort({ snapshotTime: 1 })
+    .lean();
+
+  return snapshots.flatMap(s => s.courts
+    .filter(c => c.courtNumber && (!courtNumber || c.courtNumber === courtNumber))
+    .map(c => fromSnapshot(c, s.snapshotTime)));
+}
+
+async function loadHistory(courthouse, start, end, courtNumber) {
+  const events = await CaseHistory.find(
+    {
+      courthouse,
+      ...(courtNumber ? { courtNumber } : { courtNumber: { $ne: null } }),
+      scrapedAt: { $gte: start, $lte: end }
+    },
+    { caseNumber: 1, courtNumber: 1, judgeName: 1, status: 1, position: 1, isLive: 1, scrapedAt: 1 }
+  )
+    .sort({ scrapedAt: 1 })
+    .lean();
+
+  return events.map(fromHistory);
+}
+
+/**
+ * Snapshot and history observations between `start` and `end`, by time.
+ * A snapshot and a history event at the same instant keep the history one
+ * last, as it carries the queue position.
+ */
+async function observations(courthouse, start, end, courtNumber) {
+  const [snapshots, history] = await Promise.all([
+    loadSnapshots(courthouse, start, end, courtNumber),
+    loadHistory(courthouse, start, end, courtNumber)
+  ]);
+
+  return [...snapshots, ...history].sort((a, b) =>
+    a.at - b.at || (a.source === b.source ? 0 : a.source === 'snapshot' ? -1 : 1));
+}
+
+/* ==================== TIMELINE ==================== */
+
+function sameState(segment, obs) {
+  return segment.caseNumber === obs.caseNumber && segment.status === obs.status;
+}
+
+/**
+ * One court's observations folded into segments of unchanged case and
+ * status. `from` is when the state was first seen, `lastSeenAt` when it
+ * was last seen.
+ */
+function toSegments(courtObservations) {
+  const segments = [];
+  let current = null;
+
+  for (const obs of courtObservations) {
+    if (current && sameState(current, obs)) {
+      current.lastSeenAt = obs.at;
+      current.observations++;
+      current.isLive = current.isLive || obs.isLive;
+      if (obs.queuePosition !== null) current.queuePosition = obs.queuePosition;
+      continue;
+    }
+
+    current = {
+      from: obs.at,
+      lastSeenAt: obs.at,
+      caseNumber: obs.caseNumber,
+      status: obs.status,
+      judgeName: obs.judgeName,
+      isLive: obs.isLive,
+      queuePosition: obs.queuePosition,
+      observations: 1
+    };
+    segments.push(current);
+  }
+
+  return segments;
+}
+
+/**
+ * Board over one court day (YYYY-MM-DD, default today): per court, the
+ * segments of unchanged case and status.
+ */
+async function getTimeline({ courthouse = DEFAULT_COURTHOUSE, date = null, courtNumber = null } = {}) {
+  date = date || courtDate(courthouse);
+  const { start, end } = dayRange(courthouse, date);
+
+  const byCourt = new Map();
+  for (const obs of await observations(courthouse, start, end, courtNumber)) {
+    if (!byCourt.has(obs.courtNumber)) byCourt.set(obs.courtNumber, []);
+    byCourt.get(obs.courtNumber).push(obs);
+  }
+
+  const courts = Array.from(byCourt, ([number, courtObservations]) => ({
+    courtNumber: number,
+    segments: toSegments(courtObservations)
+  })).sort((a, b) => a.courtNumber.localeCompare(b.courtNumber, undefined, { numeric: true }));
+
+  return { courthouse, date, courts };
+}
+
+/* ==================== POINT IN TIME ==================== */
+
+/**
+ * The board as it stood at `time`: the day's last snapshot before it,
+ * brought forward with the CaseHistory changes since. Each court reports
+ * when it was last observed.
+ */
+async function getBoardAt({ courthouse = DEFAULT_COURTHOUSE, time, courtNumber = null }) {
+  const at = new Date(time);
+  const { start } = dayRange(courthouse, courtDate(courthouse, at));
+
+  const snapshot = await CourtSnapshot.findOne(
+    { courthouse, snapshotTime: { $gte: start, $lte: at } },
+    { snapshotTime: 1 }
+  )
+    .sort({ snapshotTime: -1 })
+    .lean();
+
+  const base = snapshot ? snapshot.snapshotTime : start;
+
+  const board = new Map();
+  for (const obs of await observations(courthouse, base, at, courtNumber)) {
+    board.set(obs.courtNumber, obs);
+  }
+
+  const courts = Array.from(board.values())
+    .map(({ at: observedAt, source, ...court }) => ({ ...court, observedAt, source }))
+    .sort((a, b) => a.courtNumber.localeCompare(b.courtNumber, undefined, { numeric: true }));
+
+  return {
+    courthouse,
+    time: at,
+    snapshotTime: snapshot ? snapshot.snapshotTime : null,
+    updatedFromHistory: courts.filter(c => c.source === 'history').length,
+    courts
+  };
+}
+
+module.exports = {
+  getTimeline,
+  getBoardAt
+};
@@ -0,0 +1,274 @@
+const { sendDeviceUpdate, sendCaseUpdate } = require('./websocketService');
+const { hearingDateFor } = require('../utils/hearing');
+const { canonicalCaseNumber, isSameCase } = require('../utils/caseNumber');
+
+/**
+ * Turns tracking results into targeted socket events.
+ *
+ * Each watch and each case has a small state; whenever it differs from
+ * the last one emitted, a CASE_STATE event goes to `device_<id>` (per
+ * watch) or `case_<caseNumber>` (per case). The payload is documented in
+ * websocketService.
+ *
+ * A watch's state includes what its owner entered (court, serial); a
+ * case's state is public and comes from the board and today's cause list
+ * only. Emitted state is kept per courthouse and dropped when its court
+ * day changes, so it never outgrows one day's board and watches.
+ */
+
+const STATE_FIELDS = ['status', 'caseStatus', 'courtNumber', 'position', 'currentPosition', 'casesAhead'];
+
+// Which `changes` entry a field difference reports
+const CHANGE_FOR_FIELD = {
+  status: 'status',
+  caseStatus: 'status',
+  courtNumber: 'court',
+  position: 'position',
+  currentPosition: 'proximity',
+  casesAhead: 'proximity'
+};
+
+// courthouse -> { day, lastEmitted, boardCases }
+//   lastEmitted  key -> last emitted state ('watch:<id>' | 'case:<caseNumber>')
+//   boardCases   courtNumber -> caseNumber last seen on the board there
+const courthouseStates = new Map();
+
+/**
+ * The courthouse's emitted state for the court day of `at`, started
+ * afresh when that day has changed.
+ */
+function stateFor(courthouse, at) {
+  const day = hearingDateFor(at);
+  let state = courthouseStates.get(courthouse);
+
+  if (!state || state.day !== day) {
+    state = { day, lastEmitted: new Map(), boardCases: new Map() };
+    courthouseStates.set(courthouse, state);
+  }
+  return state;
+}
+
+/* ==================== STATE ==================== */
+
+/**
+ * Current state of a watch against the board.
+ */
+function watchState(watch, board, liveCourt = null) {
+  const court = liveCourt || board.find(
+    c => c.courtNumber === watch.lastSeenCourt && c.queuePosition != null
+  );
+
+  const position = watch.lastSeenPosition ?? null;
+  const currentPosition = court ? court.queuePosition ?? null : null;
+
+  return {
+    status: watch.lastSeenStatus || null,
+    caseStatus: liveCourt ? liveCourt.caseStatus : null,
+    courtNumber: watch.lastSeenCourt || null,
+    position,
+    currentPosition,
+    casesAhead: position != null && currentPosition != null && !liveCourt
+      ? Math.max(position - currentPosition, 0)
+      : null
+  };
+}
+
+function diffState(previous, state) {
+  const changes = new Set();
+  for (const field of STATE_FIELDS) {
+    if ((previous ? previous[field] : null) !== state[field]) {
+      changes.add(CHANGE_FOR_FIELD[field]);
+    }
+  }
+  return [...changes];
+}
+
+function buildEvent({ caseNumber, courthouse, state, previous, changes, scrapedAt }) {
+  return {
+    type: 'CASE_STATE',
+    caseNumber,
+    courthouse,
+    changes,
+    state,
+    previous: previous || null,
+    scrapedAt
+  };
+}
+
+/**
+ * Records `state` under `key` and returns the event to emit, or null when
+ * nothing changed.
+ */
+function nextEvent(lastEmitted, key, fields) {
+  const previous = lastEmitted.get(key);
+  const changes = diffState(previous, fields.state);
+  if (!changes.length) return null;
+
+  lastEmitted.set(key, fields.state);
+  return buildEvent({ ...fields, previous, changes });
+}
+
+/**
+ * Case-room state of a case currently on the board.
+ */
+function boardCaseState(court) {
+  return {
+    status: court.caseStatus === 'IN_SESSION' ? 'LIVE' : null,
+    caseStatus: court.caseStatus || null,
+    courtNumber: court.courtNumber,
+    position: court.queuePosition ?? null,
+    currentPosition: court.queuePosition ?? null,
+    casesAhead: null
+  };
+}
+
+/**
+ * Case-room state of a case that was on `court` and has been replaced.
+ */
+function offBoardState(court) {
+  return {
+    status: null,
+    caseStatus: 'OFF_BOARD',
+    courtNumber: court.courtNumber,
+    position: null,
+    currentPosition: court.queuePosition ?? null,
+    casesAhead: null
+  };
+}
+
+/**
+ * Case-room state of a watched case: the board while the case is on it,
+ * otherwise where today's cause list puts it against the running serial.
+ * `previous` is the case-room state last emitted.
+ */
+function caseRoomState(board, liveCourt, listing, previous) {
+  if (liveCourt) return boardCaseState(liveCourt);
+
+  // Replaced on the board today (see emitBoardChanges): stays off it
+  if (previous && previous.caseStatus === 'OFF_BOARD') return previous;
+
+  const position = listing ? listing.position ?? null : null;
+  const court = listing && board.find(
+    c => c.courtNumber === listing.courtNumber && c.queuePosition != null
+  );
+  const currentPosition = court ? court.queuePosition : null;
+
+  return {
+    status: null,
+    caseStatus: null,
+    courtNumber: listing ? listing.courtNumber : null,
+    position,
+    currentPosition,
+    casesAhead: position != null && currentPosition != null
+      ? Math.max(position - currentPosition, 0)
+      : null
+  };
+}
+
+/**
+ * Seeds board and case-room state from persisted courts, so a restart
+ * doesn't re-announce every case already on the board.
+ */
+function restoreBoardState(courthouse, courts, at = new Date()) {
+  const { lastEmitted, boardCases } = stateFor(courthouse, at);
+
+  for (const court of courts) {
+    boardCases.set(court.courtNumber, court.caseNumber || null);
+    if (court.caseNumber) {
+      lastEmitted.set(`case:${court.caseNumber}`, boardCaseState(court));
+    }
+  }
+}
+
+/**
+ * Seeds watch and case-room state from persisted watches (lastSeenStatus,
+ * lastSeenCourt, lastSeenPosition) against the restored board, as
+ * emitWatchState would have last emitted them. `listings` is today's
+ * cause list by canonical case number. Call after restoreBoardState.
+ */
+function restoreWatchState(courthouse, watches, board, listings = {}, at = new Date()) {
+  const { lastEmitted } = stateFor(courthouse, at);
+
+  for (const watch of watches) {
+    const liveCourt = board.find(c => isSameCase(c.caseNumber, watch.caseNumber)) || null;
+    const listing = listings[canonicalCaseNumber(watch.caseNumber)] || null;
+    const caseKey = `case:${watch.caseNumber}`;
+
+    lastEmitted.set(`watch:${watch._id}`, watchState(watch, board, liveCourt));
+    lastEmitted.set(caseKey, caseRoomState(board, liveCourt, listing, lastEmitted.get(caseKey)));
+  }
+}
+
+/* ==================== EMITTERS ==================== */
+
+/**
+ * Per-watch event to the owning device, and the case-level event to the
+ * case room. Call after the watch has been processed for this cycle, with
+ * the case's listing on today's cause list, if any.
+ */
+function emitWatchState(watch, board, scrapedAt, listing = null) {
+  const { lastEmitted } = stateFor(watch.courthouse, scrapedAt);
+  const liveCourt = board.find(c => isSameCase(c.caseNumber, watch.caseNumber)) || null;
+  const base = { caseNumber: watch.caseNumber, courthouse: watch.courthouse, scrapedAt };
+
+  const deviceEvent = nextEvent(lastEmitted, `watch:${watch._id}`, {
+    ...base,
+    state: watchState(watch, board, liveCourt)
+  });
+  if (deviceEvent) {
+    sendDeviceUpdate(watch.deviceId, {
+      ...deviceEvent,
+      watchId: String(watch._id),
+      nickname: watch.nickname || null
+    });
+  }
+
+  const caseKey = `case:${watch.caseNumber}`;
+  const caseEvent = nextEvent(lastEmitted, caseKey, {
+    ...base,
+    state: caseRoomState(board, liveCourt, listing, lastEmitted.get(caseKey))
+  });
+  if (caseEvent) sendCaseUpdate(watch.caseNumber, caseEvent);
+}
+
+/**
+ * Case-room events from the board: any case being replaced by the next
+ * one, and, for cases nobody watches, a case appearing on a court or
+ * changing status there (watched cases get theirs from emitWatchState).
+ */
+function emitBoardChanges(courthouse, courts, watchedCases, scrapedAt) {
+  const { lastEmitted, boardCases } = stateFor(courthouse, scrapedAt);
+
+  for (const court of courts) {
+    const previousCase = boardCases.get(court.courtNumber);
+
+    if (previousCase && previousCase !== court.caseNumber) {
+      const event = nextEvent(lastEmitted, `case:${previousCase}`, {
+        caseNumber: previousCase,
+        courthouse,
+        scrapedAt,
+        state: offBoardState(court)
+      });
+      if (event) sendCaseUpdate(previousCase, event);
+    }
+
+    boardCases.set(court.courtNumber, court.caseNumber || null);
+
+    if (!court.caseNumber || watchedCases.has(court.caseNumber)) continue;
+
+    const event = nextEvent(lastEmitted, `case:${court.caseNumber}`, {
+      caseNumber: court.caseNumber,
+      courthouse,
+      scrapedAt,
+      state: boardCaseState(court)
+    });
+    if (event) sendCaseUpdate(court.caseNumber, event);
+  }
+}
+
+module.exports = {
+  emitWatchState,
+  emitBoardChanges,
+  restoreBoardState,
+  restoreWatchState
+};
@@ -0,0 +1,186 @@
+const { CaseStatistics } = require('../models');
+const { hearingDateFor } = require('../utils/hearing');
+const { DEFAULT_COURTHOUSE } = require('./courthouses');
+
+/**
+ * Per-case statistics.
+ *
+ *   totalAppearances   distinct hearing days the case was on a board
+ *   totalHearings      closed hearings (see sessionBuilderService)
+ *   totalDuration      seconds heard over those hearings
+ *   statusHistory      status or court changes only, last STATUS_HISTORY_LIMIT
+ *
+ * A scrape only reports changed courts, and a case in session changes
+ * many times (position, stream, recess), so nothing here counts deltas.
+ * All updates of one scrape go out as a single bulkWrite.
+ */
+
+const STATUS_HISTORY_LIMIT = 100;
+
+/* ==================== UPDATES ==================== */
+
+function ifNull(field, fallback) {
+  return { $ifNull: [field, fallback] };
+}
+
+/**
+ * The case was seen on the board at `at`.
+ */
+function appearanceOp(courthouse, court, at) {
+  const day = hearingDateFor(at);
+  const entry = {
+    status: court.caseStatus || null,
+    timestamp: at,
+    courtNumber: court.courtNumber || null,
+    queuePosition: court.queuePosition ?? null
+  };
+
+  // Literals, so a value can never be read as a field path
+  const courts = court.courtNumber ? [court.courtNumber] : [];
+  const judges = court.judgeName ? [court.judgeName] : [];
+
+  return {
+    updateOne: {
+      filter: { caseNumber: court.caseNumber },
+      update: [
+        {
+          $set: {
+            courthouse: { $literal: court.courthouse || courthouse },
+            firstSeen: ifNull('$firstSeen', at),
+            lastSeen: { $max: ['$lastSeen', at] },
+            totalAppearances: {
+              $cond: [
+                { $eq: ['$lastAppearanceDate', { $literal: day }] },
+                ifNull('$totalAppearances', 0),
+                { $add: [ifNull('$totalAppearances', 0), 1] }
+              ]
+            },
+            lastAppearanceDate: { $literal: day },
+            courts: { $setUnion: [ifNull('$courts', []), { $literal: courts }] },
+            judges: { $setUnion: [ifNull('$judges', []), { $literal: judges }] },
+            statusHistory: {
+              $let: {
+                vars: { history: ifNull('$statusHistory', []) },
+                in: {
+                  $cond: [
+                    {
+                      $and: [
+                        { $eq: [{ $last: '$$history.status' }, { $literal: entry.status }] },
+                        { $eq: [{ $last: '$$history.courtNumber' }, { $literal: entry.courtNumber }] }
+                      ]
+                    },
+                    '$$history',
+                    {
+                      $slice: [
+                        { $concatArrays: ['$$history', [{ $literal: entry }]] },
+                        -STATUS_HISTORY_LIMIT
+                      ]
+                    }
+                  ]
+                }
+              }
+            }
+          }
+        }
+      ],
+      upsert: true
+    }
+  };
+}
+
+/**
+ * A hearing of the case closed.
+ */
+function hearingOp(hearing) {
+  return {
+    updateOne: {
+      filter: { caseNumber: hearing.caseNumber },
+      update: [
+        {
+          $set: {
+            courthouse: ifNull('$courthouse', { $literal: hearing.courthouse }),
+            totalHearings: { $add: [ifNull('$totalHearings', 0), 1] },
+            totalDuration: { $add: [ifNull('$totalDuration', 0), hearing.duration] }
+          }
+        },
+        {
+          $set: {
+            averageDuration: { $round: [{ $divide: ['$totalDuration', '$totalHearings'] }, 0] }
+          }
+        }
+      ],
+      upsert: true
+    }
+  };
+}
+
+/**
+ * Applies one scrape: the changed courts and the hearings it closed.
+ */
+async function updateCaseStatistics({ courthouse = DEFAULT_COURTHOUSE, courts = [], hearings = [], scrapedAt }) {
+  const at = new Date(scrapedAt);
+
+  const ops = [
+    ...courts
+      .filter(c => c.caseNumber)
+      .map(c => appearanceOp(courthouse, c, at)),
+    ...hearings.map(hearingOp)
+  ];
+
+  // Ordered: a case's appearance must exist before its hearing is added
+  if (ops.length) await CaseStatistics.bulkWrite(ops, { ordered: true });
+  return ops.length;
+}
+
+/* ==================== REBUILD ==================== */
+
+/**
+ * Statistics of one case rebuilt from its CaseHistory events (sorted by
+ * scrapedAt) and hearing totals. Returns the fields to $set.
+ */
+function statisticsFromHistory(events, { hearings = 0, duration = 0 } = {}) {
+  const days = new Set();
+  const courts = new Set();
+  const judges = new Set();
+  const statusHistory = [];
+
+  for (const e of events) {
+    days.add(hearingDateFor(e.scrapedAt));
+    if (e.courtNumber) courts.add(e.courtNumber);
+    if (e.judgeName) judges.add(e.judgeName);
+
+    const last = statusHistory[statusHistory.length - 1];
+    const status = e.status || null;
+    const courtNumber = e.courtNumber || null;
+    if (!last || last.status !== status || last.courtNumber !== courtNumber) {
+      statusHistory.push({
+        status,
+        timestamp: e.scrapedAt,
+        courtNumber,
+        queuePosition: e.position ?? null
+      });
+    }
+  }
+
+  const first = events[0];
+  const last = events[events.length - 1];
+
+  return {
+    courthouse: last.courthouse || DEFAULT_COURTHOUSE,
+    firstSeen: first.scrapedAt,
+    lastSeen: last.scrapedAt,
+    totalAppearances: days.size,
+    lastAppearanceDate: hearingDateFor(last.scrapedAt),
+    totalHearings: hearings,
+    totalDuration: duration,
+    averageDuration: hearings ? Math.round(duration / hearings) : 0,
+    courts: Array.from(courts),
+    judges: Array.from(judges),
+    statusHistory: statusHistory.slice(-STATUS_HISTORY_LIMIT)
+  };
+}
+
+module.exports = {
+  updateCaseStatistics,
+  statisticsFromHistory
+};
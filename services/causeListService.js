@@ -0,0 +1,264 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const fs = require('fs/promises');
+const path = require('path');
+const { CauseListEntry } = require('../models');
+const logger = require('../config/logger');
+const { canonicalCaseNumber } = require('../utils/caseNumber');
+const { hearingDateFor } = require('../utils/hearing');
+const { DEFAULT_COURTHOUSE, getAdapter } = require('./courthouses');
+
+const DEFAULT_LIST_TYPE = 'DAILY';
+
+const COURT_RE = /COURT\s*(?:ROOM\s*)?NO\.?\s*:?\s*(\d+[A-Z]?)/i;
+const JUDGE_RE = /HON'?BLE|HONOURABLE|\bJUSTICE\b/i;
+const LIST_TYPE_RE =
+  /\b(FRESH|ADMISSION|FINAL(?:\s+HEARING)?|ORDERS?|SUPPLEMENTARY|URGENT|REGULAR)\b.*\b(MATTERS?|LIST|BOARD|HEARING)\b/i;
+const ENTRY_RE =
+  /^\s*(\d{1,4})[.)]?\s+((?:[A-Z][A-Z.()-]*\s*\/\s*)*[A-Z][A-Z.()-]*\s*[/ ]\s*\d+\s*(?:\/|\s+OF\s+)\s*\d{2,4})\b/i;
+
+const cleanText = (text) =>
+  text ? text.replace(/\s+/g, ' ').trim() : '';
+
+/* ==================== HELPERS ==================== */
+
+/**
+ * Cause lists are published per IST calendar day.
+ */
+function listDateFor(date = new Date()) {
+  return hearingDateFor(date);
+}
+
+/**
+ * The courthouse adapter's causeListSource (for Gujarat High Court,
+ * CAUSE_LIST_URL / CAUSE_LIST_PATH); a `{date}` placeholder is filled in.
+ */
+function resolveSource(listDate, courthouse = DEFAULT_COURTHOUSE) {
+  const adapter = getAdapter(courthouse);
+  const template = adapter && adapter.causeListSource;
+  if (!template) return null;
+  return template.replace(/\{date\}/g, listDate);
+}
+
+async function loadSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const resp = await axios.get(source, {
+      headers: { 'User-Agent': 'Mozilla/5.0' },
+      responseType: 'arraybuffer',
+      timeout: 30000
+    });
+    return Buffer.from(resp.data);
+  }
+
+  const filePath = path.isAbsolute(source)
+    ? source
+    : path.resolve(process.cwd(), source);
+
+  return fs.readFile(filePath);
+}
+
+function isPdf(buffer) {
+  return buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+function htmlToLines(html) {
+  const $ = cheerio.load(html);
+
+  $('script, style').remove();
+  $('br').replaceWith('\n');
+
+  // One line per table row, cells separated so the entry regex can see them
+  $('tr').each((_, tr) => {
+    const cells = $(tr)
+      .children('td, th')
+      .map((_, cell) => cleanText($(cell).text()))
+      .get()
+      .filter(Boolean);
+
+    $(tr).replaceWith($('<p></p>').text(cells.join('  ')));
+  });
+
+  $('p, div, h1, h2, h3, h4, h5, h6, li').append('\n');
+
+  return $.root().text().split('\n').map(cleanText).filter(Boolean);
+}
+
+async function pdfToLines(buffer) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: buffer });
+
+  try {
+    const result = await parser.getText();
+    return result.text.split('\n').map(cleanText).filter(Boolean);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/* ==================== PARSER ==================== */
+
+/**
+ * Walks the cause list top to bottom. Court, judge and list-type headings
+ * apply to every entry below them until the next heading of the same kind.
+ */
+function parseCauseListLines(lines, { listDate, courthouse = DEFAULT_COURTHOUSE, source = null } = {}) {
+  const entries = [];
+  const seen = new Set();
+
+  let courtNumber = null;
+  let judgeName = null;
+  let listType = DEFAULT_LIST_TYPE;
+
+  for (const line of lines) {
+    const entry = line.match(ENTRY_RE);
+
+    if (!entry) {
+      const court = line.match(COURT_RE);
+      if (court) {
+        courtNumber = court[1].toUpperCase();
+        judgeName = null;
+        listType = DEFAULT_LIST_TYPE;
+      }
+
+      if (JUDGE_RE.test(line)) {
+        judgeName = cleanText(line.replace(COURT_RE, ''));
+      }
+
+      const type = line.match(LIST_TYPE_RE);
+      if (type) {
+        listType = cleanText(type[1]).toUpperCase().replace(/\s+/g, '_');
+      }
+      continue;
+    }
+
+    if (!courtNumber) continue;
+
+    const caseNumber = canonicalCaseNumber(entry[2]);
+    const key = `${courtNumber}|${caseNumber}|${listType}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    entries.push({
+      listDate,
+      courthouse,
+      caseNumber,
+      courtNumber,
+      judgeName,
+      srNo: entry[1],
+      position: parseInt(entry[1], 10),
+      listType,
+      source
+    });
+  }
+
+  return entries;
+}
+
+/* ==================== INGESTION ==================== */
+
+async function ingestCauseList({ date = new Date(), source, courthouse = DEFAULT_COURTHOUSE } = {}) {
+  const listDate = listDateFor(date);
+  const resolved = source || resolveSource(listDate, courthouse);
+
+  if (!resolved) {
+    logger.warn(`Cause list source not configured for ${courthouse}`);
+    return { listDate, count: 0 };
+  }
+
+  const startedAt = new Date();
+  const buffer = await loadSource(resolved);
+
+  const lines = isPdf(buffer)
+    ? await pdfToLines(buffer)
+    : htmlToLines(buffer.toString('utf8'));
+
+  const entries = parseCauseListLines(lines, { listDate, courthouse, source: resolved });
+
+  if (!entries.length) {
+    logger.warn(`Cause list for ${listDate} had no parseable entries (${resolved})`);
+    return { listDate, count: 0 };
+  }
+
+  await CauseListEntry.bulkWrite(
+    entries.map(e => ({
+      updateOne: {
+        filter: {
+          courthouse,
+          listDate: e.listDate,
+          courtNumber: e.courtNumber,
+          caseNumber: e.caseNumber,
+          listType: e.listType
+        },
+        update: { $set: { ...e, ingestedAt: startedAt } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+
+  // Drop rows a re-published list no longer contains
+  await CauseListEntry.deleteMany({
+    listDate,
+    courthouse,
+    ingestedAt: { $lt: startedAt }
+  });
+
+  logger.info(`Cause list ${listDate}: ${entries.length} entries ingested`);
+  return { listDate, count: entries.length };
+}
+
+/* ==================== LOOKUPS ==================== */
+
+/**
+ * caseNumber -> earliest listing of that case on the given day
+ */
+async function getListingsForCases(caseNumbers, date = new Date(), courthouse = null) {
+  if (!caseNumbers.length) return {};
+
+  const entries = await CauseListEntry.find({
+    listDate: listDateFor(date),
+    caseNumber: { $in: caseNumbers.map(canonicalCaseNumber) },
+    ...(courthouse && { courthouse })
+  }).sort({ position: 1 }).lean();
+
+  const map = {};
+  for (const e of entries) {
+    if (!map[e.caseNumber]) map[e.caseNumber] = e;
+  }
+  return map;
+}
+
+async function getCourtCauseList(courtNumber, date = new Date(), courthouse = DEFAULT_COURTHOUSE) {
+  return CauseListEntry.find({
+    listDate: listDateFor(date),
+    courtNumber,
+    courthouse
+  }).sort({ position: 1 }).lean();
+}
+
+/**
+ * courtNumber -> positions listed before that court on the given day
+ */
+async function getListedPositions(date = new Date(), courthouse = DEFAULT_COURTHOUSE) {
+  const entries = await CauseListEntry.find(
+    { listDate: listDateFor(date), courthouse },
+    { courtNumber: 1, position: 1 }
+  ).sort({ position: 1 }).lean();
+
+  const map = {};
+  for (const e of entries) {
+    if (!map[e.courtNumber]) map[e.courtNumber] = [];
+    map[e.courtNumber].push(e.position);
+  }
+  return map;
+}
+
+module.exports = {
+  ingestCauseList,
+  parseCauseListLines,
+  htmlToLines,
+  listDateFor,
+  getListingsForCases,
+  getCourtCauseList,
+  getListedPositions
+};
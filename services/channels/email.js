@@ -0,0 +1,90 @@
+const nodemailer = require('nodemailer');
+const logger = require('../../config/logger');
+const { Device } = require('../../models');
+
+/**
+ * SMTP email, e.g. to a clerk's inbox.
+ *
+ *   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE=true for implicit TLS,
+ *   SMTP_USER / SMTP_PASS (optional), SMTP_FROM
+ */
+
+let transporter = null;
+
+function getTransporter() {
+  if (transporter) return transporter;
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return transporter;
+}
+
+function buildText({ notification, details }) {
+  const lines = [notification.body];
+  if (details.judgeName) lines.push(`Bench: ${details.judgeName}`);
+  if (details.streamUrl) lines.push(`Watch live: ${details.streamUrl}`);
+  return lines.join('\n');
+}
+
+// 550/551/553: mailbox unavailable or address rejected
+const INVALID_RECIPIENT = new Set([550, 551, 553]);
+const TRANSIENT_CODES = new Set(['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS']);
+
+module.exports = {
+  id: 'email',
+
+  isConfigured: () => !!process.env.SMTP_HOST,
+
+  targetFor(device) {
+    const settings = device.channels && device.channels.email;
+    return settings && settings.enabled && settings.address ? settings.address : null;
+  },
+
+  async send(items) {
+    const results = [];
+
+    for (const item of items) {
+      try {
+        const info = await getTransporter().sendMail({
+          from: process.env.SMTP_FROM || process.env.SMTP_USER,
+          to: item.target,
+          subject: item.notification.title,
+          text: buildText(item)
+        });
+        results.push({ success: true, messageId: info.messageId });
+      } catch (err) {
+        results.push({
+          success: false,
+          errorCode: `smtp/${err.responseCode || err.code || 'error'}`,
+          error: err.message
+        });
+      }
+    }
+
+    return results;
+  },
+
+  classifyError(errorCode) {
+    const code = String(errorCode || '').replace(/^smtp\//, '');
+    const status = parseInt(code, 10);
+
+    if (!status) return TRANSIENT_CODES.has(code) ? 'transient' : 'permanent';
+    if (INVALID_RECIPIENT.has(status)) return 'invalid_target';
+    return status < 500 ? 'transient' : 'permanent';
+  },
+
+  async invalidate(item) {
+    await Device.updateOne(
+      { deviceId: item.deviceId, 'channels.email.address': item.target },
+      { $set: { 'channels.email.enabled': false } }
+    );
+    logger.info(`Email channel disabled for ${item.deviceId} (recipient rejected)`);
+  }
+};
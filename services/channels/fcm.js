@@ -0,0 +1,50 @@
+const logger = require('../../config/logger');
+const { Device } = require('../../models');
+const {
+  buildMessage,
+  classifyFcmError,
+  sendBatch
+} = require('../fcmService');
+
+/**
+ * Android push. On by default for every registered device.
+ */
+module.exports = {
+  id: 'fcm',
+
+  // Unconfigured Firebase still logs a failed attempt, as before
+  isConfigured: () => true,
+
+  targetFor(device) {
+    const settings = device.channels && device.channels.fcm;
+    if (settings && settings.enabled === false) return null;
+    return device.fcmToken || null;
+  },
+
+  send(items) {
+    return sendBatch(items.map(i => buildMessage(i.target, i.notification, i.data)));
+  },
+
+  classifyError: classifyFcmError,
+
+  // A dead push token means the app is gone: deactivate the device, and
+  // record why push went off so re-registering with a new token can turn
+  // it back on. Match the token too, since a re-registration may already
+  // have replaced it.
+  async invalidate(item) {
+    const { modifiedCount } = await Device.updateOne(
+      { deviceId: item.deviceId, fcmToken: item.target, isActive: true },
+      {
+        $set: {
+          isActive: false,
+          'channels.fcm.enabled': false,
+          'channels.fcm.disabledReason': 'invalid_token'
+        }
+      }
+    );
+
+    if (modifiedCount) {
+      logger.info(`Device ${item.deviceId} deactivated (dead FCM token)`);
+    }
+  }
+};
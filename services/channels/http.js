@@ -0,0 +1,72 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { isPublicHostLiteral, publicLookup } = require('../../utils/publicAddress');
+
+const HTTP_TIMEOUT = parseInt(process.env.CHANNEL_HTTP_TIMEOUT, 10) || 10000;
+
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ERR_NETWORK'
+]);
+
+// Connections that refuse non-public addresses (see utils/publicAddress)
+const PUBLIC_ONLY = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+  maxRedirects: 0
+};
+
+/**
+ * POSTs a pre-serialised JSON body. Resolves to a delivery result
+ * ({ success, messageId, errorCode, error }); never rejects.
+ * errorCode is `http/<status>` or `http/<network code>`.
+ *
+ * `publicOnly` is for user-supplied URLs: private, loopback and link-local
+ * destinations fail with `http/ERR_PRIVATE_ADDRESS`, and redirects are
+ * not followed.
+ */
+async function postJson(url, body, headers = {}, { publicOnly = false } = {}) {
+  if (publicOnly && !isPublicHostLiteral(url)) {
+    return { success: false, errorCode: 'http/ERR_PRIVATE_ADDRESS', error: 'Destination is not a public address' };
+  }
+
+  try {
+    const res = await axios.post(url, body, {
+      timeout: HTTP_TIMEOUT,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      // Keep the signed bytes exactly as they are
+      transformRequest: [(data) => data],
+      ...(publicOnly && PUBLIC_ONLY)
+    });
+
+    const data = res.data && typeof res.data === 'object' ? res.data : {};
+    return { success: true, messageId: String(data.id || data.messageId || res.status) };
+  } catch (err) {
+    const code = err.response ? err.response.status : err.code || 'error';
+    return { success: false, errorCode: `http/${code}`, error: err.message };
+  }
+}
+
+/**
+ * 'invalid_target' | 'transient' | 'permanent' for an `http/...` code.
+ * `invalidStatuses` are the statuses meaning the destination is gone.
+ */
+function classifyHttpError(errorCode, invalidStatuses = []) {
+  const code = String(errorCode || '').replace(/^http\//, '');
+  const status = parseInt(code, 10);
+
+  if (!status) return TRANSIENT_NETWORK_CODES.has(code) ? 'transient' : 'permanent';
+  if (invalidStatuses.includes(status)) return 'invalid_target';
+  if (status === 408 || status === 425 || status === 429 || status >= 500) return 'transient';
+  return 'permanent';
+}
+
+module.exports = {
+  postJson,
+  classifyHttpError
+};
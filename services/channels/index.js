@@ -0,0 +1,62 @@
+const fcm = require('./fcm');
+const email = require('./email');
+const sms = require('./sms');
+const webhook = require('./webhook');
+
+/**
+ * Notification channel registry.
+ *
+ * A channel is a plain object:
+ *   id                 key under Device.channels and NotificationLog.channel
+ *   isConfigured()     server-side setup present (credentials, gateway URL)
+ *   targetFor(device)  destination for this device, or null when the
+ *                      device has not enabled the channel
+ *   send(items)        -> one { success, messageId, errorCode, error } per
+ *                      item, in order. Items carry target, notification,
+ *                      data, caseNumber, alertType, details and deviceId.
+ *   classifyError(code) -> 'invalid_target' | 'transient' | 'permanent'
+ *   invalidate(item)   stops using a target that will never work again
+ */
+
+const REQUIRED = ['id', 'isConfigured', 'targetFor', 'send', 'classifyError', 'invalidate'];
+
+const channels = new Map();
+
+function registerChannel(channel) {
+  const missing = REQUIRED.filter(k => !channel[k]);
+  if (missing.length) {
+    throw new Error(`Notification channel missing: ${missing.join(', ')}`);
+  }
+  channels.set(channel.id, channel);
+  return channel;
+}
+
+[fcm, email, sms, webhook].forEach(registerChannel);
+
+function getChannel(id) {
+  return channels.get(id) || null;
+}
+
+function listChannels() {
+  return Array.from(channels.values());
+}
+
+/**
+ * Channel + destination pairs a device's alerts should go to.
+ */
+function resolveTargets(device) {
+  const targets = [];
+  for (const channel of channels.values()) {
+    if (!channel.isConfigured()) continue;
+    const target = channel.targetFor(device);
+    if (target) targets.push({ channel, target });
+  }
+  return targets;
+}
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  listChannels,
+  resolveTargets
+};
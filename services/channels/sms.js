@@ -0,0 +1,41 @@
+const { postJson, classifyHttpError } = require('./http');
+
+/**
+ * Generic HTTP SMS gateway. Each message is POSTed as JSON
+ * { to, from, message } to SMS_GATEWAY_URL, with SMS_GATEWAY_TOKEN as a
+ * bearer token when set and SMS_SENDER_ID as `from`.
+ */
+
+module.exports = {
+  id: 'sms',
+
+  isConfigured: () => !!process.env.SMS_GATEWAY_URL,
+
+  targetFor(device) {
+    const settings = device.channels && device.channels.sms;
+    return settings && settings.enabled && settings.phone ? settings.phone : null;
+  },
+
+  async send(items) {
+    const headers = process.env.SMS_GATEWAY_TOKEN
+      ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` }
+      : {};
+
+    const results = [];
+    for (const item of items) {
+      // The body alone: titles carry emoji, which halves the SMS length
+      results.push(await postJson(process.env.SMS_GATEWAY_URL, JSON.stringify({
+        to: item.target,
+        from: process.env.SMS_SENDER_ID || undefined,
+        message: item.notification.body
+      }), headers));
+    }
+    return results;
+  },
+
+  // Gateways disagree on how they report a bad number, so none is treated
+  // as permanently invalid
+  classifyError: (errorCode) => classifyHttpError(errorCode),
+
+  invalidate: async () => {}
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+const { Device } = require('../../models');
+const { postJson, classifyHttpError } = require('./http');
+
+/**
+ * Signed JSON webhook (Slack/Teams-style incoming webhooks, or any HTTP
+ * endpoint). Each device has its own URL and secret; requests carry
+ *
+ *   X-CourtTracker-Timestamp: <unix seconds>
+ *   X-CourtTracker-Signature: sha256=<hex HMAC of "<timestamp>.<raw body>">
+ *
+ * `text` is included so chat webhooks render something without a custom
+ * integration.
+ */
+
+const SIGNATURE_HEADER = 'X-CourtTracker-Signature';
+const TIMESTAMP_HEADER = 'X-CourtTracker-Timestamp';
+const PAYLOAD_VERSION = 1;
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function signPayload(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * For receivers: checks the signature and rejects stale timestamps.
+ */
+function verifySignature(secret, timestamp, rawBody, signature, toleranceSeconds = 300) {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, rawBody));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function buildPayload(item) {
+  return {
+    version: PAYLOAD_VERSION,
+    event: 'case_alert',
+    alertType: item.alertType,
+    caseNumber: item.caseNumber,
+    title: item.notification.title,
+    body: item.notification.body,
+    text: `${item.notification.title}\n${item.notification.body}`,
+    details: item.details,
+    sentAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  id: 'webhook',
+
+  isConfigured: () => true,
+
+  targetFor(device) {
+    const settings = device.channels && device.channels.webhook;
+    return settings && settings.enabled && settings.url ? settings.url : null;
+  },
+
+  async send(items) {
+    const devices = await Device.find(
+      { deviceId: { $in: [...new Set(items.map(i => i.deviceId))] } },
+      { deviceId: 1, 'channels.webhook.secret': 1 }
+    ).lean();
+
+    const secrets = Object.fromEntries(
+      devices.map(d => [d.deviceId, d.channels && d.channels.webhook && d.channels.webhook.secret])
+    );
+
+    const results = [];
+    for (const item of items) {
+      const secret = secrets[item.deviceId];
+      if (!secret) {
+        results.push({ success: false, errorCode: 'webhook/no-secret', error: 'Webhook secret missing' });
+        continue;
+      }
+
+      const rawBody = JSON.stringify(buildPayload(item));
+      const timestamp = String(Math.floor(Date.now() / 1000));
+
+      results.push(await postJson(item.target, rawBody, {
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: signPayload(secret, timestamp, rawBody)
+      }, { publicOnly: true }));
+    }
+    return results;
+  },
+
+  // 404/410: the hook was deleted or revoked; a private address never works
+  classifyError: (errorCode) => (errorCode === 'http/ERR_PRIVATE_ADDRESS'
+    ? 'invalid_target'
+    : classifyHttpError(errorCode, [404, 410])),
+
+  async invalidate(item) {
+    await Device.updateOne(
+      { deviceId: item.deviceId, 'channels.webhook.url': item.target },
+      { $set: { 'channels.webhook.enabled': false } }
+    );
+    logger.info(`Webhook channel disabled for ${item.deviceId} (endpoint gone or not public)`);
+  },
+
+  generateSecret,
+  signPayload,
+  verifySignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER
+};
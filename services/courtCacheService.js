@@ -0,0 +1,101 @@
+const logger = require('../config/logger');
+const { CurrentCourt } = require('../models');
+const { DEFAULT_COURTHOUSE } = require('./courthouses');
+
+/**
+ * Latest board per courthouse, as served by /courts, /courts/live and
+ * /courts/active.
+ *
+ * The scraping leader fills it straight from each scrape. Other instances
+ * refresh it from CurrentCourt, which the leader writes every cycle, so
+ * every instance answers from the same data.
+ */
+
+// courthouse -> { success, courthouse, scrapedAt, courts }
+const cache = new Map();
+
+let syncTimer = null;
+
+function setCourtData(courthouse, data) {
+  cache.set(courthouse, data);
+}
+
+/**
+ * Cached board across all courthouses, or one courthouse by name.
+ */
+function getCourtData(courthouse = null) {
+  const cached = Array.from(cache.values())
+    .filter(d => !courthouse || d.courthouse === courthouse);
+
+  if (!cached.length) return null;
+
+  return {
+    success: true,
+    scrapedAt: cached
+      .map(d => d.scrapedAt)
+      .sort()
+      .pop(),
+    courts: cached.flatMap(d => d.courts)
+  };
+}
+
+function hasCourtData() {
+  return cache.size > 0;
+}
+
+/* ==================== SHARED STORE ==================== */
+
+async function refreshFromStore() {
+  const docs = await CurrentCourt.find({}, { courthouse: 1, data: 1, checkedAt: 1 })
+    .sort({ courtCode: 1 })
+    .lean();
+
+  const byCourthouse = new Map();
+  for (const doc of docs) {
+    if (!doc.data) continue;
+
+    const courthouse = doc.courthouse || DEFAULT_COURTHOUSE;
+    if (!byCourthouse.has(courthouse)) {
+      byCourthouse.set(courthouse, { success: true, courthouse, scrapedAt: null, courts: [] });
+    }
+
+    const entry = byCourthouse.get(courthouse);
+    entry.courts.push(doc.data);
+
+    const checkedAt = doc.checkedAt ? new Date(doc.checkedAt).toISOString() : null;
+    if (checkedAt && (!entry.scrapedAt || checkedAt > entry.scrapedAt)) {
+      entry.scrapedAt = checkedAt;
+    }
+  }
+
+  for (const [courthouse, data] of byCourthouse) {
+    cache.set(courthouse, data);
+  }
+}
+
+/**
+ * Followers: poll CurrentCourt every `interval` ms.
+ */
+function startCacheSync(interval) {
+  if (syncTimer) return;
+
+  const sync = () => refreshFromStore().catch(err => logger.error('Court cache sync failed', err));
+
+  syncTimer = setInterval(sync, interval);
+  sync();
+  logger.info(`Court cache syncing from CurrentCourt every ${interval}ms`);
+}
+
+function stopCacheSync() {
+  clearInterval(syncTimer);
+  syncTimer = null;
+}
+
+module.exports = {
+  setCourtData,
+  getCourtData,
+  hasCourtData,
+  refreshFromStore,
+  startCacheSync,
+  stopCacheSync
+};
@@ -0,0 +1,585 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const { CourtCalendar } = require('../models');
+const { DEFAULT_COURTHOUSE, getAdapter, resolveCourthouse } = require('./courthouses');
+const { HEARING_TIMEZONE } = require('../utils/hearing');
+
+/**
+ * When courts sit.
+ *
+ * A courthouse sits on its sitting days between its sitting hours, in its
+ * own timezone, except on holidays and vacations. Vacation benches are
+ * sitting days inside a vacation (or on a weekly off), optionally with
+ * their own hours.
+ *
+ * Each setting comes from, in order of precedence:
+ *   1. CourtCalendar documents (admin API), shared by every instance
+ *   2. COURT_CALENDAR_FILE, a JSON or ICS file read at startup
+ *   3. the adapter (timezone, sittingHours, sittingDays)
+ * Entries from the file and the admin API are combined.
+ *
+ * JSON file, keyed by courthouse id or name:
+ *   {
+ *     "ghc": {
+ *       "sittingHours": { "start": "10:30", "end": "17:30" },
+ *       "sittingDays": [1, 2, 3, 4, 5],
+ *       "entries": [
+ *         { "type": "holiday", "date": "2026-01-26", "name": "Republic Day" },
+ *         { "type": "vacation", "startDate": "2026-05-11", "endDate": "2026-06-07" },
+ *         { "type": "vacation_bench", "date": "2026-05-20", "start": "11:00", "end": "14:00" }
+ *       ]
+ *     }
+ *   }
+ *
+ * ICS files hold one courthouse (COURT_CALENDAR_COURTHOUSE, default the
+ * default courthouse). All-day events are holidays; a summary or category
+ * mentioning "vacation" makes it a vacation, "vacation bench" a bench day.
+ */
+
+const DEFAULT_SITTING_HOURS = { start: '10:30', end: '17:30' };
+const DEFAULT_SITTING_DAYS = [1, 2, 3, 4, 5];
+const ENTRY_TYPES = ['holiday', 'vacation', 'vacation_bench'];
+const MAX_LOOKAHEAD_DAYS = 120;
+const CALENDAR_REFRESH_MS = parseInt(process.env.COURT_CALENDAR_REFRESH_MS, 10) || 5 * 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// courthouse -> { timezone, sittingHours, sittingDays, entries }
+const fileCalendars = new Map();
+const storedCalendars = new Map();
+
+let syncTimer = null;
+
+/* ==================== TIME ==================== */
+
+function toMinutes(clock) {
+  const [h, m] = clock.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Wall-clock date, weekday and minute of day of `at` in `timezone`.
+ */
+function zonedParts(at, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    })
+      .formatToParts(new Date(at))
+      .map(p => [p.type, p.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * The instant `date` (YYYY-MM-DD) at `clock` (HH:MM) is in `timezone`.
+ */
+function zonedTime(date, clock, timezone) {
+  const [y, m, d] = date.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d, 0, toMinutes(clock));
+
+  const local = zonedParts(guess, timezone);
+  const [ly, lm, ld] = local.date.split('-').map(Number);
+  const offset = Date.UTC(ly, lm - 1, ld, 0, local.minutes) - guess;
+
+  return new Date(guess - offset);
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/* ==================== CALENDAR ==================== */
+
+function courthouseName(courthouse) {
+  return resolveCourthouse(courthouse) || courthouse || DEFAULT_COURTHOUSE;
+}
+
+/**
+ * Effective calendar for a courthouse (id or name).
+ */
+function getCalendar(courthouse = DEFAULT_COURTHOUSE) {
+  const name = courthouseName(courthouse);
+  const adapter = getAdapter(name) || {};
+  const file = fileCalendars.get(name) || {};
+  const stored = storedCalendars.get(name) || {};
+
+  return {
+    courthouse: name,
+    timezone: stored.timezone || file.timezone || adapter.timezone || HEARING_TIMEZONE,
+    sittingHours:
+      (stored.sittingHours && stored.sittingHours.start ? stored.sittingHours : null) ||
+      file.sittingHours ||
+      adapter.sittingHours ||
+      DEFAULT_SITTING_HOURS,
+    sittingDays: stored.sittingDays || file.sittingDays || adapter.sittingDays || DEFAULT_SITTING_DAYS,
+    entries: [
+      ...(file.entries || []).map(e => ({ ...e, id: null, source: 'file' })),
+      ...(stored.entries || []).map(e => ({
+        id: String(e._id),
+        type: e.type,
+        startDate: e.startDate,
+        endDate: e.endDate,
+        name: e.name || null,
+        start: e.start || null,
+        end: e.end || null,
+        source: 'admin'
+      }))
+    ].sort((a, b) => a.startDate.localeCompare(b.startDate))
+  };
+}
+
+/**
+ * Whether the court sits on `date` (a Date, or YYYY-MM-DD in court time)
+ * and with which hours.
+ *
+ *   reason  regular | vacation_bench | holiday | vacation | weekly_off
+ */
+function getDayStatus(courthouse, date = new Date()) {
+  const calendar = getCalendar(courthouse);
+  const day = typeof date === 'string' ? date : zonedParts(date, calendar.timezone).date;
+
+  const covering = calendar.entries.filter(e => e.startDate <= day && day <= e.endDate);
+
+  const bench = covering.find(e => e.type === 'vacation_bench');
+  if (bench) {
+    return {
+      date: day,
+      sitting: true,
+      reason: 'vacation_bench',
+      name: bench.name || null,
+      hours: {
+        start: bench.start || calendar.sittingHours.start,
+        end: bench.end || calendar.sittingHours.end
+      }
+    };
+  }
+
+  const closure = covering.find(e => e.type === 'holiday') || covering.find(e => e.type === 'vacation');
+  if (closure) {
+    return { date: day, sitting: false, reason: closure.type, name: closure.name || null, hours: null };
+  }
+
+  if (!calendar.sittingDays.includes(weekdayOf(day))) {
+    return { date: day, sitting: false, reason: 'weekly_off', name: null, hours: null };
+  }
+
+  return { date: day, sitting: true, reason: 'regular', name: null, hours: calendar.sittingHours };
+}
+
+/**
+ * True while the court sits at `at`. `marginMinutes` widens the window on
+ * both sides (the board is up a little before and after sitting hours).
+ */
+function isCourtHours(courthouse = DEFAULT_COURTHOUSE, at = new Date(), { marginMinutes = 0 } = {}) {
+  const { timezone } = getCalendar(courthouse);
+  const { date, minutes } = zonedParts(at, timezone);
+
+  const status = getDayStatus(courthouse, date);
+  if (!status.sitting) return false;
+
+  return (
+    minutes >= toMinutes(status.hours.start) - marginMinutes &&
+    minutes < toMinutes(status.hours.end) + marginMinutes
+  );
+}
+
+/**
+ * The current or next sitting window ({ date, start, end } as Dates) that
+ * ends after `from`, or null when none is found within MAX_LOOKAHEAD_DAYS.
+ */
+function nextSittingWindow(courthouse = DEFAULT_COURTHOUSE, from = new Date()) {
+  const { timezone } = getCalendar(courthouse);
+  const today = zonedParts(from, timezone).date;
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    const status = getDayStatus(courthouse, addDays(today, i));
+    if (!status.sitting) continue;
+
+    const end = zonedTime(status.date, status.hours.end, timezone);
+    if (end <= from) continue;
+
+    return {
+      date: status.date,
+      start: zonedTime(status.date, status.hours.start, timezone),
+      end
+    };
+  }
+
+  return null;
+}
+
+/**
+ * `from` plus `seconds` of sitting time: time outside sitting hours
+ * (evenings, weekends, holidays) is skipped.
+ */
+function addSittingTime(courthouse, from, seconds) {
+  let cursor = new Date(from);
+  let remaining = Math.max(seconds, 0) * 1000;
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    const window = nextSittingWindow(courthouse, cursor);
+    if (!window) break;
+
+    const start = Math.max(cursor.getTime(), window.start.getTime());
+    const available = window.end.getTime() - start;
+    if (remaining <= available) return new Date(start + remaining);
+
+    remaining -= available;
+    cursor = window.end;
+  }
+
+  // No usable calendar: plain wall-clock time
+  return new Date(new Date(from).getTime() + Math.max(seconds, 0) * 1000);
+}
+
+/**
+ * Court-local date (YYYY-MM-DD) of `at`.
+ */
+function courtDate(courthouse, at = new Date()) {
+  return zonedParts(at, getCalendar(courthouse).timezone).date;
+}
+
+/**
+ * Instants bounding the days `from` to `to` (YYYY-MM-DD, inclusive) in
+ * court time: { start, end }, end exclusive.
+ */
+function dayRange(courthouse, from, to = from) {
+  const { timezone } = getCalendar(courthouse);
+  return {
+    start: zonedTime(from, '00:00', timezone),
+    end: zonedTime(addDays(to, 1), '00:00', timezone)
+  };
+}
+
+/**
+ * Day statuses from `from` to `to` (YYYY-MM-DD, inclusive); by default
+ * the next two weeks.
+ */
+function listDays(courthouse, from = null, to = null) {
+  from = from || zonedParts(new Date(), getCalendar(courthouse).timezone).date;
+  to = to || addDays(from, 13);
+
+  const days = [];
+  for (let day = from; day <= to && days.length < 366; day = addDays(day, 1)) {
+    days.push(getDayStatus(courthouse, day));
+  }
+  return days;
+}
+
+/* ==================== FILE FORMATS ==================== */
+
+function normaliseEntry(entry) {
+  const startDate = entry.startDate || entry.date;
+  const normalised = {
+    type: entry.type || 'holiday',
+    startDate,
+    endDate: entry.endDate || startDate,
+    name: entry.name || null,
+    start: entry.start || null,
+    end: entry.end || null
+  };
+
+  if (!ENTRY_TYPES.includes(normalised.type)) {
+    throw new Error(`Unknown calendar entry type: ${normalised.type}`);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || normalised.endDate < startDate) {
+    throw new Error(`Invalid calendar entry dates: ${startDate} - ${normalised.endDate}`);
+  }
+
+  return normalised;
+}
+
+/**
+ * One courthouse's JSON calendar: { timezone, sittingHours, sittingDays,
+ * entries } or just an array of entries.
+ */
+function parseCalendarJson(json) {
+  const calendar = Array.isArray(json) ? { entries: json } : json;
+  const clock = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  if (calendar.timezone && !isValidTimezone(calendar.timezone)) {
+    throw new Error(`Unknown timezone: ${calendar.timezone}`);
+  }
+  if (calendar.sittingHours && !(clock.test(calendar.sittingHours.start) && clock.test(calendar.sittingHours.end))) {
+    throw new Error('sittingHours needs start and end as HH:MM');
+  }
+  if (calendar.sittingDays && !calendar.sittingDays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+    throw new Error('sittingDays must be weekdays 0-6');
+  }
+
+  return {
+    timezone: calendar.timezone,
+    sittingHours: calendar.sittingHours,
+    sittingDays: calendar.sittingDays,
+    entries: (calendar.entries || []).map(normaliseEntry)
+  };
+}
+
+/**
+ * DTSTART/DTEND as court-local { date, clock }; clock is null for dates.
+ * UTC times (trailing Z) are converted, floating times taken as local.
+ */
+function icsMoment(value, timezone) {
+  const date = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+  if (!value.includes('T')) return { date, clock: null };
+
+  const clock = `${value.slice(9, 11)}:${value.slice(11, 13)}`;
+  if (!value.endsWith('Z')) return { date, clock };
+
+  const local = zonedParts(new Date(`${date}T${clock}:00Z`), timezone);
+  const minutes = String(local.minutes % 60).padStart(2, '0');
+  return { date: local.date, clock: `${String(Math.floor(local.minutes / 60)).padStart(2, '0')}:${minutes}` };
+}
+
+/**
+ * VEVENTs of an ICS file as calendar entries. All-day DTEND is exclusive.
+ */
+function parseIcs(text, timezone = HEARING_TIMEZONE) {
+  // Unfold continuation lines first
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const entries = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.DTSTART) {
+        const start = icsMoment(event.DTSTART, timezone);
+        const end = event.DTEND ? icsMoment(event.DTEND, timezone) : start;
+        const label = `${event.SUMMARY || ''} ${event.CATEGORIES || ''}`;
+
+        let endDate = end.date;
+        if (!end.clock && event.DTEND) endDate = addDays(endDate, -1);
+
+        let type = 'holiday';
+        if (/vacation\s*bench/i.test(label)) type = 'vacation_bench';
+        else if (/vacation/i.test(label)) type = 'vacation';
+
+        entries.push(normaliseEntry({
+          type,
+          startDate: start.date,
+          endDate: endDate < start.date ? start.date : endDate,
+          name: event.SUMMARY ? event.SUMMARY.replace(/\\([,;\\])/g, '$1') : null,
+          start: type === 'vacation_bench' ? start.clock : null,
+          end: type === 'vacation_bench' && event.DTEND ? end.clock : null
+        }));
+      }
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+
+    const key = line.slice(0, colon).split(';')[0].toUpperCase();
+    event[key] = line.slice(colon + 1).trim();
+  }
+
+  return { entries };
+}
+
+/**
+ * { courthouse -> calendar } from COURT_CALENDAR_FILE.
+ */
+function readCalendarFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.ics') {
+    const courthouse = courthouseName(process.env.COURT_CALENDAR_COURTHOUSE);
+    return new Map([[courthouse, parseIcs(text, getCalendar(courthouse).timezone)]]);
+  }
+
+  const json = JSON.parse(text);
+  return new Map(
+    Object.entries(json).map(([courthouse, calendar]) => [
+      courthouseName(courthouse),
+      parseCalendarJson(calendar)
+    ])
+  );
+}
+
+function loadCalendarFile(file = process.env.COURT_CALENDAR_FILE) {
+  if (!file) return;
+
+  try {
+    const calendars = readCalendarFile(file);
+    fileCalendars.clear();
+    for (const [courthouse, calendar] of calendars) {
+      fileCalendars.set(courthouse, calendar);
+    }
+    logger.info(`Court calendar loaded from ${file} (${calendars.size} courthouses)`);
+  } catch (err) {
+    logger.error(`Court calendar file ${file} could not be loaded`, err);
+  }
+}
+
+/* ==================== STORE ==================== */
+
+async function refreshCalendars() {
+  const docs = await CourtCalendar.find({}).lean();
+
+  storedCalendars.clear();
+  for (const doc of docs) storedCalendars.set(doc.courthouse, doc);
+}
+
+async function refreshCalendar(courthouse) {
+  const doc = await CourtCalendar.findOne({ courthouse }).lean();
+  if (doc) storedCalendars.set(courthouse, doc);
+  else storedCalendars.delete(courthouse);
+}
+
+/**
+ * Loads the file once, then keeps admin changes made on any instance in
+ * sync.
+ */
+function startCalendarSync(interval = CALENDAR_REFRESH_MS) {
+  if (syncTimer) return;
+
+  loadCalendarFile();
+
+  const sync = () => refreshCalendars().catch(err => logger.error('Court calendar sync failed', err));
+  syncTimer = setInterval(sync, interval);
+  sync();
+}
+
+function stopCalendarSync() {
+  clearInterval(syncTimer);
+  syncTimer = null;
+}
+
+/**
+ * Sets timezone / sittingHours / sittingDays; null resets one to the
+ * file or adapter default.
+ */
+async function updateCalendarSettings(courthouse, settings) {
+  const $set = {};
+  const $unset = {};
+
+  for (const key of ['timezone', 'sittingHours', 'sittingDays']) {
+    if (settings[key] === undefined) continue;
+    if (settings[key] === null) $unset[key] = '';
+    else $set[key] = settings[key];
+  }
+
+  await CourtCalendar.updateOne(
+    { courthouse },
+    {
+      ...(Object.keys($set).length && { $set }),
+      ...(Object.keys($unset).length && { $unset })
+    },
+    { upsert: true }
+  );
+
+  await refreshCalendar(courthouse);
+  return getCalendar(courthouse);
+}
+
+/**
+ * Adds entries; `replace` drops the existing admin entries first.
+ */
+async function addCalendarEntries(courthouse, entries, { replace = false } = {}) {
+  const normalised = entries.map(normaliseEntry);
+
+  await CourtCalendar.updateOne(
+    { courthouse },
+    replace
+      ? { $set: { entries: normalised } }
+      : { $push: { entries: { $each: normalised } } },
+    { upsert: true }
+  );
+
+  await refreshCalendar(courthouse);
+  return normalised.length;
+}
+
+/**
+ * Returns false when the entry does not exist.
+ */
+async function removeCalendarEntry(courthouse, entryId) {
+  const { modifiedCount } = await CourtCalendar.updateOne(
+    { courthouse },
+    { $pull: { entries: { _id: entryId } } }
+  );
+
+  await refreshCalendar(courthouse);
+  return modifiedCount > 0;
+}
+
+/**
+ * Parses an uploaded calendar; throws on malformed content.
+ */
+function parseCalendarContent(format, content, timezone = HEARING_TIMEZONE) {
+  return format === 'ics' ? parseIcs(content, timezone) : parseCalendarJson(JSON.parse(content));
+}
+
+/**
+ * Stores a parsed calendar in the admin store. JSON settings (timezone,
+ * sittingHours, sittingDays) are applied too.
+ */
+async function importCalendar(courthouse, calendar, { replace = false } = {}) {
+  const settings = {
+    timezone: calendar.timezone,
+    sittingHours: calendar.sittingHours,
+    sittingDays: calendar.sittingDays
+  };
+  if (Object.values(settings).some(v => v !== undefined)) {
+    await updateCalendarSettings(courthouse, settings);
+  }
+
+  const imported = await addCalendarEntries(courthouse, calendar.entries, { replace });
+  return { imported, calendar: getCalendar(courthouse) };
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  isValidTimezone,
+  getCalendar,
+  getDayStatus,
+  isCourtHours,
+  nextSittingWindow,
+  addSittingTime,
+  listDays,
+  courtDate,
+  dayRange,
+  addDays,
+  parseCalendarContent,
+  startCalendarSync,
+  stopCalendarSync,
+  updateCalendarSettings,
+  addCalendarEntries,
+  removeCalendarEntry,
+  importCalendar
+};
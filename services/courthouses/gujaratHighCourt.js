@@ -0,0 +1,185 @@
+const axios = require("axios");
+const cheerio = require("cheerio");
+const crypto = require("crypto");
+
+const BASE =
+  process.env.COURT_BASE_URL ||
+  "https://gujarathighcourt.nic.in/streamingboard/";
+const XHR_URL =
+  process.env.COURT_XHR_URL || `${BASE}indexrequest.php`;
+
+const cleanText = (text) =>
+  text ? text.replace(/\s+/g, " ").trim() : "";
+
+const sha256 = (data) =>
+  crypto.createHash("sha256").update(data).digest("hex");
+
+/**
+ * Conditional request headers
+ */
+let lastETag = null;
+let lastModified = null;
+
+/* ------------------------------------------------------------------
+   FETCH
+   Streaming board: indexrequest.php XHR (one row per court) plus the
+   board page that holds the #dv_<code> cards.
+------------------------------------------------------------------ */
+
+async function fetch() {
+  const xhrResp = await axios.get(XHR_URL, {
+    headers: {
+      "User-Agent": "Mozilla/5.0",
+      Accept: "application/json, text/javascript, */*; q=0.01",
+      ...(lastETag && { "If-None-Match": lastETag }),
+      ...(lastModified && { "If-Modified-Since": lastModified }),
+    },
+    timeout: 15000,
+    validateStatus: (s) => s === 200 || s === 304,
+  });
+
+  if (xhrResp.status === 304) {
+    return { notModified: true };
+  }
+
+  lastETag = xhrResp.headers.etag || lastETag;
+  lastModified =
+    xhrResp.headers["last-modified"] || lastModified;
+
+  const pageResp = await axios.get(BASE, {
+    headers: { "User-Agent": "Mozilla/5.0" },
+    timeout: 15000,
+  });
+
+  return { xhr: xhrResp.data, html: pageResp.data };
+}
+
+/* ------------------------------------------------------------------
+   PARSE
+------------------------------------------------------------------ */
+
+function parse({ xhr, html }) {
+  const xhrData = Array.isArray(xhr)
+    ? xhr
+    : JSON.parse(xhr || "[]");
+
+  const $ = cheerio.load(html || "");
+  const items = [];
+
+  for (const row of xhrData) {
+    const courtCode = String(row.courtcode || "").trim();
+    if (!courtCode) continue;
+
+    const $card = $(`#dv_${courtCode}`);
+    if (!$card.length) continue;
+
+    const footer = cleanText(row.caseinfo || "");
+    const srNo = cleanText(row.gsrno || "");
+
+    let judgeName = cleanText(
+      $card.find(".card-category b").first().text()
+    );
+    if (!judgeName) {
+      judgeName = cleanText(
+        $card
+          .find(".card-header, .card-title, .card-body")
+          .first()
+          .text()
+      );
+    }
+    judgeName = judgeName.replace("[Live]", "").trim();
+
+    let streamUrl = null;
+    const a = $card.find("a").first();
+    if (a?.attr("href")) {
+      streamUrl = a.attr("href").trim();
+      if (streamUrl.startsWith("/")) {
+        streamUrl =
+          "https://gujarathighcourt.nic.in" + streamUrl;
+      }
+    }
+
+    const judgePhotos = [];
+    $card.find(".photoclass, img").each((_, img) => {
+      const src =
+        $(img).attr("src") || $(img).attr("data-src");
+      if (src) {
+        judgePhotos.push(
+          src.startsWith("http")
+            ? src
+            : `${BASE}${src.replace(/^\.\//, "")}`
+        );
+      }
+    });
+
+    const courtNumber = cleanText(
+      $card.find(`#court_${courtCode}`).text()
+    ).replace(/COURT\s*NO:?/i, "").trim();
+
+    items.push({
+      courtCode,
+      // card markup + XHR fields: unchanged fingerprint => no delta
+      fingerprint: `${sha256($card.html())}|${footer}|${srNo}`,
+      judgeName,
+      streamUrl,
+      judgePhotos,
+      courtNumber,
+      srNo,
+      footer,
+      isLive: $card.find(".blink_me").length > 0,
+    });
+  }
+
+  return items;
+}
+
+/* ------------------------------------------------------------------
+   NORMALISE
+------------------------------------------------------------------ */
+
+function normalise(item) {
+  const footer = item.footer;
+
+  let caseNumberRaw = null;
+  let caseStatus = null;
+  let caseType = null;
+
+  if (/COURT\s*SITTING\s*OVER/i.test(footer)) {
+    caseStatus = "SITTING_OVER";
+    caseType = "sitting_over";
+  } else if (footer.includes("(RECESS)")) {
+    caseStatus = "RECESS";
+    caseType = "recess";
+    caseNumberRaw = footer.replace("(RECESS)", "").trim();
+  } else if (footer && footer !== "-") {
+    caseStatus = "IN_SESSION";
+    caseType = "active";
+    caseNumberRaw = footer;
+  }
+
+  return {
+    // Bare court code kept for backward compatibility with stored data
+    id: item.courtCode,
+    judgeName: item.judgeName,
+    judgePhotos: item.judgePhotos,
+    courtNumber: item.courtNumber,
+    srNo: item.srNo || null,
+    caseNumberRaw,
+    caseStatus,
+    caseType,
+    streamUrl: item.streamUrl,
+    isLive: item.isLive,
+  };
+}
+
+module.exports = {
+  id: "ghc",
+  name: "Gujarat High Court",
+  timezone: "Asia/Kolkata",
+  sittingHours: { start: "10:30", end: "17:30" },
+  sittingDays: [1, 2, 3, 4, 5],
+  causeListSource: process.env.CAUSE_LIST_URL || process.env.CAUSE_LIST_PATH || null,
+  fetch,
+  parse,
+  normalise,
+};
@@ -0,0 +1,124 @@
+const gujaratHighCourt = require("./gujaratHighCourt");
+const { createFixtureSource, createReplayAdapter } = require("./replay");
+
+/**
+ * Courthouse adapter registry.
+ *
+ * An adapter is a plain object:
+ *   id         short unique key, used in COURTHOUSES and API filters
+ *   name       display name, stored as `courthouse` on every record
+ *   timezone   IANA zone of the court
+ *   sittingHours / sittingDays
+ *              optional calendar defaults ({ start, end } as HH:MM, and
+ *              weekdays with 0 = Sunday); see courtCalendarService
+ *   interval   optional poll interval (ms), defaults to SCRAPER_INTERVAL
+ *   causeListSource
+ *              optional cause list URL or file, `{date}` = YYYY-MM-DD;
+ *              courthouses without one are not ingested
+ *   fetch()    -> raw payload, or { notModified: true }
+ *   parse(raw) -> [{ courtCode, fingerprint, ... }]
+ *   normalise(item) -> partial court object (id, judgeName, judgePhotos,
+ *                      courtNumber, srNo, caseNumberRaw, caseStatus,
+ *                      caseType, streamUrl, isLive)
+ *
+ * scraperService fills in the derived fields so every adapter yields the
+ * same court shape. Court ids need only be unique within a courthouse.
+ *
+ * COURT_REPLAY_DIR swaps the matching adapter's fetch() for recorded
+ * fixtures (see ./replay.js); COURT_REPLAY_LOOP=true restarts at the end.
+ */
+
+const DEFAULT_ADAPTER_ID = gujaratHighCourt.id;
+const DEFAULT_COURTHOUSE = gujaratHighCourt.name;
+
+const REQUIRED = ["id", "name", "fetch", "parse", "normalise"];
+
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+  const missing = REQUIRED.filter((k) => !adapter[k]);
+  if (missing.length) {
+    throw new Error(`Courthouse adapter missing: ${missing.join(", ")}`);
+  }
+  adapters.set(adapter.id, adapter);
+  return adapter;
+}
+
+registerAdapter(gujaratHighCourt);
+
+/**
+ * Looks an adapter up by id or by courthouse name (case-insensitive).
+ */
+function getAdapter(idOrName) {
+  if (!idOrName) return null;
+  const key = String(idOrName).trim().toLowerCase();
+
+  for (const adapter of adapters.values()) {
+    if (adapter.id.toLowerCase() === key || adapter.name.toLowerCase() === key) {
+      return adapter;
+    }
+  }
+  return null;
+}
+
+let replayAdapter = null;
+
+function withReplay(adapter) {
+  const dir = process.env.COURT_REPLAY_DIR;
+  if (!dir || !adapter) return adapter;
+
+  if (!replayAdapter) {
+    const { manifest } = createFixtureSource(dir);
+    const target = adapters.get(manifest.courthouse || DEFAULT_ADAPTER_ID);
+    replayAdapter = createReplayAdapter(target, dir, {
+      loop: process.env.COURT_REPLAY_LOOP === "true",
+    });
+  }
+
+  return replayAdapter.id === adapter.id ? replayAdapter : adapter;
+}
+
+function getDefaultAdapter() {
+  return withReplay(adapters.get(DEFAULT_ADAPTER_ID));
+}
+
+/**
+ * COURTHOUSES=ghc,... selects which adapters are scraped (default: ghc).
+ */
+function getEnabledAdapters() {
+  const ids = (process.env.COURTHOUSES || DEFAULT_ADAPTER_ID)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  return ids.map(getAdapter).filter(Boolean).map(withReplay);
+}
+
+function listAdapters() {
+  const enabled = new Set(getEnabledAdapters().map((a) => a.id));
+
+  return Array.from(adapters.values()).map((a) => ({
+    id: a.id,
+    name: a.name,
+    timezone: a.timezone || null,
+    enabled: enabled.has(a.id),
+  }));
+}
+
+/**
+ * Courthouse name for an id/name filter, or null if unknown.
+ */
+function resolveCourthouse(idOrName) {
+  const adapter = getAdapter(idOrName);
+  return adapter ? adapter.name : null;
+}
+
+module.exports = {
+  DEFAULT_COURTHOUSE,
+  registerAdapter,
+  getAdapter,
+  getDefaultAdapter,
+  getEnabledAdapters,
+  listAdapters,
+  resolveCourthouse,
+};
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Recorded scraper fixtures.
+ *
+ * A fixture directory holds manifest.json plus one file per payload part:
+ *
+ *   {
+ *     "courthouse": "ghc",
+ *     "recordedAt": "2024-07-01T05:00:00.000Z",
+ *     "frames": [
+ *       { "recordedAt": "...", "payload": { "xhr": "0001.xhr.json", "html": "0001.html" } },
+ *       { "recordedAt": "...", "notModified": true }
+ *     ]
+ *   }
+ *
+ * `payload` keys are whatever the adapter's fetch() returned, so parse()
+ * gets back exactly what it saw live.
+ */
+
+const MANIFEST = "manifest.json";
+
+function readManifest(dir) {
+  const file = path.join(dir, MANIFEST);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No fixture manifest at ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function loadFrame(dir, frame) {
+  if (frame.notModified) {
+    return { notModified: true, scrapedAt: frame.recordedAt };
+  }
+
+  const raw = { scrapedAt: frame.recordedAt };
+
+  for (const [key, file] of Object.entries(frame.payload || {})) {
+    const content = fs.readFileSync(path.join(dir, file), "utf8");
+    raw[key] = file.endsWith(".json") ? JSON.parse(content) : content;
+  }
+
+  return raw;
+}
+
+/**
+ * Sequential reader over a fixture directory. Past the last frame it keeps
+ * answering "not modified" (board frozen) unless `loop` is set.
+ */
+function createFixtureSource(dir, { loop = false } = {}) {
+  const manifest = readManifest(dir);
+  let cursor = 0;
+
+  return {
+    manifest,
+    get length() {
+      return manifest.frames.length;
+    },
+    get done() {
+      return !loop && cursor >= manifest.frames.length;
+    },
+    next() {
+      if (cursor >= manifest.frames.length) {
+        if (!loop || !manifest.frames.length) return { notModified: true };
+        cursor = 0;
+      }
+      return loadFrame(dir, manifest.frames[cursor++]);
+    },
+    reset() {
+      cursor = 0;
+    },
+  };
+}
+
+/**
+ * Same adapter, but fetch() reads recorded frames instead of the network.
+ */
+function createReplayAdapter(adapter, dir, options = {}) {
+  const source = createFixtureSource(dir, options);
+
+  return {
+    ...adapter,
+    replay: source,
+    fetch: async () => source.next(),
+  };
+}
+
+/* ------------------------------------------------------------------
+   RECORDER
+------------------------------------------------------------------ */
+
+function serialise(value) {
+  return typeof value === "string"
+    ? { ext: "html", content: value }
+    : { ext: "json", content: JSON.stringify(value, null, 2) };
+}
+
+/**
+ * Appends live fetch() results to a fixture directory.
+ */
+function createFixtureRecorder(dir, adapter) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const manifestFile = path.join(dir, MANIFEST);
+  const manifest = fs.existsSync(manifestFile)
+    ? readManifest(dir)
+    : { courthouse: adapter.id, recordedAt: new Date().toISOString(), frames: [] };
+
+  const save = () =>
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+
+  return {
+    manifest,
+    record(raw, recordedAt = new Date().toISOString()) {
+      if (raw.notModified) {
+        manifest.frames.push({ recordedAt, notModified: true });
+        save();
+        return;
+      }
+
+      const index = String(manifest.frames.length + 1).padStart(4, "0");
+      const payload = {};
+
+      for (const [key, value] of Object.entries(raw)) {
+        const { ext, content } = serialise(value);
+        const file = key === ext ? `${index}.${ext}` : `${index}.${key}.${ext}`;
+        fs.writeFileSync(path.join(dir, file), content);
+        payload[key] = file;
+      }
+
+      manifest.frames.push({ recordedAt, payload });
+      save();
+    },
+  };
+}
+
+module.exports = {
+  createFixtureSource,
+  createReplayAdapter,
+  createFixtureRecorder,
+};
@@ -1,117 +1,331 @@
 const cron = require("node-cron");
-const { scrapeCourtData } = require("./scraperService");
-const { processCaseUpdates } = require("./trackingService");
+const { scrapeCourtData, restoreState } = require("./scraperService");
+const {
+  processCaseUpdates,
+  restoreCourtState,
+  restoreWatchlists,
+} = require("./trackingService");
+const { restoreBoardState } = require("./caseEventService");
+const { trackSessions, restoreSessions } = require("./sessionBuilderService");
+const { updateCaseStatistics } = require("./caseStatisticsService");
+const { summariseCourts, summariseBoard } = require("./boardSummaryService");
 const { broadcastCourtUpdate } = require("./websocketService");
+const {
+  flushNotifications,
+  getDeliveryQueueStatus,
+} = require("./notificationDeliveryService");
 const { CourtSnapshot } = require("../models");
 const logger = require("../config/logger");
-const { upsertCurrentCourts } = require("./currentCourtService");
+const {
+  upsertCurrentCourts,
+  loadCourtState,
+} = require("./currentCourtService");
+const { ingestCauseList } = require("./causeListService");
+const { getEnabledAdapters, DEFAULT_COURTHOUSE } = require("./courthouses");
 const { CurrentCourt } = require("../models");
+const { setCourtData, getCourtData } = require("./courtCacheService");
+const {
+  isCourtHours,
+  nextSittingWindow,
+} = require("./courtCalendarService");
+const { getWatchDemand } = require("./watchlistService");
+const {
+  createPolicy,
+  recordSuccess,
+  recordFailure,
+  allowScrape,
+  decideNextDelay,
+  describePolicy,
+} = require("./scrapePolicyService");
 
 /* -------------------- STATE -------------------- */
 
-let lastCourtData = null;
-let lastScrapeTime = null;
-let scrapeCount = 0;
+/**
+ * Per-courthouse scraper state
+ * adapterId -> { adapter, lastScrapeTime, scrapeCount, lockUntil,
+ *                interval, policy, timer, stopped }
+ */
+const scrapers = new Map();
 
-let scraperLockUntil = 0;
-let backoffUntil = 0;
+// Cron tasks started by startSchedulers()
+const jobs = [];
 
 const SCRAPER_INTERVAL = parseInt(process.env.SCRAPER_INTERVAL, 10) || 30000;
 const MAX_EXPECTED_RUNTIME = 25000; // ms
-const BACKOFF_MS = 2 * 60 * 1000; // 2 minutes
+
+// The board goes up before sitting hours and lingers after them
+const COURT_HOURS_MARGIN_MINUTES =
+  parseInt(process.env.COURT_HOURS_MARGIN_MINUTES, 10) || 30;
 
 /* -------------------- GUARDS -------------------- */
 
-function isCourtHours() {
-  const hour = new Date().getHours();
-  return hour >= 10 && hour <= 17;
+function isBoardUp(courthouse) {
+  return isCourtHours(courthouse, new Date(), {
+    marginMinutes: COURT_HOURS_MARGIN_MINUTES,
+  });
 }
 
-function isLocked() {
-  return Date.now() < scraperLockUntil;
-}
+/**
+ * 0 while the board is up, else ms until it next is (null if unknown).
+ */
+function msUntilBoardUp(courthouse, now = new Date()) {
+  if (isBoardUp(courthouse)) return 0;
 
-function isInBackoff() {
-  return Date.now() < backoffUntil;
+  const window = nextSittingWindow(courthouse, now);
+  if (!window) return null;
+
+  const opens = window.start.getTime() - COURT_HOURS_MARGIN_MINUTES * 60000;
+  return Math.max(opens - now.getTime(), 1000);
 }
 
 /* -------------------- REALTIME SCRAPER -------------------- */
 
-function startRealtimeScraper() {
-  logger.info(`Starting realtime scraper (${SCRAPER_INTERVAL}ms)`);
+/**
+ * One full pipeline pass for an adapter:
+ * scrape -> upsertCurrentCourts -> processCaseUpdates -> notify -> broadcast.
+ * Also used by the fixture replay script.
+ */
+async function runScrapeCycle(adapter) {
+  const result = await scrapeCourtData(adapter);
+  const { allCourts, changedCourts, fingerprints, scrapedAt, skipped } =
+    result;
+
+  // ✅ ALWAYS persist full state
+  await upsertCurrentCourts(allCourts, scrapedAt, adapter.name, fingerprints);
+
+  // Hearings need every scrape, changed or not, to see gaps and endings
+  const { closed } = await trackSessions(adapter.name, allCourts, scrapedAt);
+
+  // One write per scrape: today's appearances and the hearings that ended
+  await updateCaseStatistics({
+    courthouse: adapter.name,
+    courts: skipped ? [] : changedCourts,
+    hearings: closed,
+    scrapedAt,
+  });
 
-  setInterval(async () => {
-    if (!isCourtHours() || isLocked() || isInBackoff()) return;
+  // ✅ ONLY deltas trigger side effects
+  if (!skipped && changedCourts.length) {
+    await processCaseUpdates({
+      courthouse: adapter.name,
+      courts: changedCourts,
+      allCourts,
+      scrapedAt,
+    });
+
+    // Alerts raised by this cycle go out as one batch
+    await flushNotifications();
+
+    broadcastCourtUpdate({
+      type: "COURT_DELTA",
+      courthouse: adapter.name,
+      summary: summariseCourts(allCourts),
+      courts: changedCourts,
+      scrapedAt,
+    });
+  }
+
+  return result;
+}
 
-    scraperLockUntil = Date.now() + MAX_EXPECTED_RUNTIME;
+/**
+ * Loads what the previous process (or leader) last persisted, so the
+ * first scrape only reports real deltas.
+ */
+async function restoreScrapeState(adapter) {
+  const docs = await loadCourtState(adapter.name);
+  const courts = docs.map((d) => d.data).filter(Boolean);
+
+  restoreState(adapter.id, docs);
+  restoreCourtState(courts);
+  restoreBoardState(adapter.name, courts);
+  await restoreWatchlists(adapter.name, courts);
+  const superseded = await restoreSessions(adapter.name);
+  await updateCaseStatistics({
+    courthouse: adapter.name,
+    hearings: superseded,
+    scrapedAt: new Date(),
+  });
 
-    try {
-      scrapeCount++;
-      logger.info(`Starting scrape #${scrapeCount}`);
-
-      const { allCourts, changedCourts, scrapedAt, skipped } =
-        await scrapeCourtData();
-
-      // ✅ ALWAYS persist full state
-      await upsertCurrentCourts(allCourts, scrapedAt);
-
-      // ✅ CACHE FOR API
-      lastCourtData = {
-        success: true,
-        scrapedAt,
-        courts: allCourts,
-      };
-
-      // ✅ ONLY deltas trigger side effects
-      if (!skipped && changedCourts.length) {
-        await processCaseUpdates({
-          courts: changedCourts,
-          scrapedAt,
-        });
-
-        broadcastCourtUpdate({
-          type: "COURT_DELTA",
-          courts: changedCourts,
-          scrapedAt,
-        });
-      }
+  logger.info(`Restored ${courts.length} courts (${adapter.name})`);
+}
+
+async function runScrape(state) {
+  const { adapter } = state;
 
-      lastScrapeTime = new Date(scrapedAt);
+  state.lockUntil = Date.now() + MAX_EXPECTED_RUNTIME;
 
-      logger.info(`Scrape #${scrapeCount} done`);
-    } catch (err) {
-      logger.error("Realtime scraper error:", err);
-      backoffUntil = Date.now() + BACKOFF_MS;
-    } finally {
-      scraperLockUntil = 0;
+  try {
+    if (!state.restored) {
+      await restoreScrapeState(adapter);
+      state.restored = true;
     }
-  }, SCRAPER_INTERVAL);
+
+    state.scrapeCount++;
+    logger.info(`Starting scrape #${state.scrapeCount} (${adapter.name})`);
+
+    const { allCourts, changedCourts, scrapedAt } = await runScrapeCycle(
+      adapter
+    );
+
+    // ✅ CACHE FOR API
+    setCourtData(adapter.name, {
+      success: true,
+      courthouse: adapter.name,
+      scrapedAt,
+      courts: allCourts,
+    });
+
+    state.lastScrapeTime = new Date(scrapedAt);
+
+    const demand = await getWatchDemand(adapter.name).catch((err) => {
+      logger.error(`Watch demand lookup failed (${adapter.name})`, err);
+      return null;
+    });
+    recordSuccess(state.policy, { changedCourts, allCourts, demand });
+
+    logger.info(`Scrape #${state.scrapeCount} (${adapter.name}) done`);
+  } catch (err) {
+    logger.error(`Realtime scraper error (${adapter.name}):`, err);
+    recordFailure(state.policy, err);
+  } finally {
+    state.lockUntil = 0;
+  }
+}
+
+/**
+ * Scrapes when the board is up and the circuit allows it, then schedules
+ * the next tick from the policy's decision.
+ */
+async function tick(state) {
+  const { adapter, policy } = state;
+
+  if (msUntilBoardUp(adapter.name) === 0 && allowScrape(policy)) {
+    await runScrape(state);
+  }
+
+  if (state.stopped) return;
+
+  const decision = decideNextDelay(policy, {
+    msUntilCourtHours: msUntilBoardUp(adapter.name),
+  });
+  logger.debug(
+    `Next scrape of ${adapter.name} in ${decision.delay}ms (${
+      decision.mode
+    }: ${decision.reasons.join("; ")})`
+  );
+
+  state.timer = setTimeout(() => runTick(state), decision.delay);
+}
+
+/**
+ * tick() that cannot reject: a failure is logged and the next tick still
+ * happens, at the base interval.
+ */
+function runTick(state) {
+  tick(state).catch((err) => {
+    logger.error(`Scrape tick for ${state.adapter.name} failed:`, err);
+    if (!state.stopped) {
+      state.timer = setTimeout(() => runTick(state), state.interval);
+    }
+  });
+}
+
+function startRealtimeScraper() {
+  const adapters = getEnabledAdapters();
+
+  if (!adapters.length) {
+    logger.warn("No courthouse adapters enabled (COURTHOUSES)");
+    return;
+  }
+
+  for (const adapter of adapters) {
+    const state = {
+      adapter,
+      lastScrapeTime: null,
+      scrapeCount: 0,
+      lockUntil: 0,
+      interval: adapter.interval || SCRAPER_INTERVAL,
+      restored: false,
+      stopped: false,
+    };
+    state.policy = createPolicy(state.interval);
+    scrapers.set(adapter.id, state);
+
+    logger.info(
+      `Starting adaptive scraper for ${adapter.name} (base ${state.interval}ms)`
+    );
+
+    runTick(state);
+  }
 }
 
 /* -------------------- SNAPSHOT SCHEDULER -------------------- */
 
 function startSnapshotScheduler() {
-  cron.schedule("*/5 * * * *", async () => {
+  return cron.schedule("*/5 * * * *", async () => {
     try {
-      const courts = (
-        await CurrentCourt.find({}, { _id: 0, data: 1 }).lean()
-      ).map((c) => c.data);
+      const docs = await CurrentCourt.find(
+        {},
+        { _id: 0, courthouse: 1, data: 1 }
+      ).lean();
+
+      if (!docs.length) return;
+
+      const byCourthouse = new Map();
+      for (const doc of docs) {
+        const courthouse = doc.courthouse || DEFAULT_COURTHOUSE;
+        // Nothing moves on a court that isn't sitting
+        if (!isBoardUp(courthouse)) continue;
+        if (!byCourthouse.has(courthouse)) byCourthouse.set(courthouse, []);
+        byCourthouse.get(courthouse).push(doc.data);
+      }
+
+      if (!byCourthouse.size) return;
+
+      const snapshotTime = new Date();
 
-      if (!courts.length) return;
+      const snapshots = await Promise.all(
+        Array.from(byCourthouse, async ([courthouse, courts]) => ({
+          courthouse,
+          snapshotTime,
+          ...(await summariseBoard(courts, snapshotTime)),
+        }))
+      );
 
-      await require("../models").CourtSnapshot.create({
-        courthouse: "Gujarat High Court",
-        snapshotTime: new Date(),
-        courts,
-      });
+      await CourtSnapshot.insertMany(snapshots);
 
-      logger.info("Snapshot saved");
+      logger.info(`Snapshot saved (${byCourthouse.size} courthouses)`);
     } catch (e) {
       logger.error("Snapshot error:", e);
     }
   });
 }
 
+/* -------------------- CAUSE LIST SCHEDULER -------------------- */
+
+const CAUSE_LIST_CRON = process.env.CAUSE_LIST_CRON || "30 8 * * 1-6";
+
+function startCauseListScheduler() {
+  logger.info(`Starting cause list scheduler (${CAUSE_LIST_CRON} IST)`);
+
+  return cron.schedule(
+    CAUSE_LIST_CRON,
+    async () => {
+      for (const adapter of getEnabledAdapters()) {
+        if (!adapter.causeListSource) continue;
+
+        try {
+          await ingestCauseList({ courthouse: adapter.name });
+        } catch (e) {
+          logger.error(`Cause list ingestion error (${adapter.name}):`, e);
+        }
+      }
+    },
+    { timezone: "Asia/Kolkata" }
+  );
+}
+
 /* -------------------- CLEANUP SCHEDULER -------------------- */
 
 function startCleanupScheduler() {
@@ -128,32 +342,89 @@ function startCleanupScheduler() {
   return job;
 }
 
+/* -------------------- LIFECYCLE -------------------- */
+
+/**
+ * Everything only the scraping leader runs.
+ */
+function startSchedulers() {
+  if (scrapers.size || jobs.length) return;
+
+  startRealtimeScraper();
+  jobs.push(
+    startSnapshotScheduler(),
+    startCauseListScheduler(),
+    startCleanupScheduler()
+  );
+}
+
+function stopSchedulers() {
+  for (const state of scrapers.values()) {
+    state.stopped = true;
+    clearTimeout(state.timer);
+  }
+  scrapers.clear();
+
+  jobs.splice(0).forEach((job) => job.stop());
+}
+
 /* -------------------- STATUS -------------------- */
 
 function getScraperStatus() {
+  const states = Array.from(scrapers.values());
+
+  const courthouses = Object.fromEntries(
+    states.map((s) => [
+      s.adapter.id,
+      {
+        courthouse: s.adapter.name,
+        scrapeCount: s.scrapeCount,
+        lastScrapeTime: s.lastScrapeTime,
+        lockedUntil: s.lockUntil ? new Date(s.lockUntil) : null,
+        interval: s.interval,
+        courtHours: isBoardUp(s.adapter.name),
+        policy: describePolicy(s.policy),
+        hasCachedData: !!getCourtData(s.adapter.name),
+      },
+    ])
+  );
+
   return {
-    scrapeCount,
-    lastScrapeTime,
-    lockedUntil: scraperLockUntil ? new Date(scraperLockUntil) : null,
-    backoffUntil: backoffUntil ? new Date(backoffUntil) : null,
+    scrapeCount: states.reduce((n, s) => n + s.scrapeCount, 0),
+    lastScrapeTime: getLastScrapeTime(),
     interval: SCRAPER_INTERVAL,
-    hasCachedData: !!lastCourtData,
+    hasCachedData: !!getCourtData(),
+    courthouses,
+    notifications: getDeliveryQueueStatus(),
   };
 }
 
-function getLastCourtData() {
-  return lastCourtData;
+/**
+ * Cached board across all courthouses, or one courthouse by name.
+ */
+function getLastCourtData(courthouse = null) {
+  return getCourtData(courthouse);
 }
 
 function getLastScrapeTime() {
-  return lastScrapeTime;
+  const times = Array.from(scrapers.values())
+    .map((s) => s.lastScrapeTime)
+    .filter(Boolean);
+
+  if (!times.length) return null;
+  return new Date(Math.max(...times.map((t) => t.getTime())));
 }
+
 /* -------------------- EXPORT -------------------- */
 
 module.exports = {
   startRealtimeScraper,
+  runScrapeCycle,
   startSnapshotScheduler,
+  startCauseListScheduler,
   startCleanupScheduler,
+  startSchedulers,
+  stopSchedulers,
   getScraperStatus,
   getLastCourtData,
   getLastScrapeTime,
@@ -1,5 +1,6 @@
 const { CurrentCourt } = require('../models');
 const crypto = require('crypto');
+const { DEFAULT_COURTHOUSE } = require('./courthouses');
 
 function hashCourtData(data) {
   return crypto
@@ -9,13 +10,20 @@ function hashCourtData(data) {
 }
 
 const MISSING_THRESHOLD = 3;
-async function upsertCurrentCourts(allCourts, scrapedAt) {
+
+/**
+ * Missing-court detection is scoped to `courthouse`, so one adapter's
+ * scrape never marks another courthouse's courts as gone.
+ * `fingerprints` (courtCode -> adapter fingerprint) is stored so scrape
+ * state can be restored after a restart.
+ */
+async function upsertCurrentCourts(allCourts, scrapedAt, courthouse = DEFAULT_COURTHOUSE, fingerprints = new Map()) {
   if (!allCourts.length) return;
 
   const seenCourtCodes = new Set(allCourts.map(c => c.id));
 
   const existing = await CurrentCourt.find(
-    {},
+    { courthouse },
     { courtCode: 1, dataHash: 1, missingCount: 1 }
   ).lean();
 
@@ -33,9 +41,11 @@ async function upsertCurrentCourts(allCourts, scrapedAt) {
     if (prev && prev.dataHash === newHash) {
       ops.push({
         updateOne: {
-          filter: { courtCode: court.id },
+          filter: { courthouse, courtCode: court.id },
           update: {
             $set: {
+              courthouse,
+              fingerprint: fingerprints.get(court.id),
               checkedAt: new Date(scrapedAt),
               isVisible: true,
               missingCount: 0
@@ -48,11 +58,13 @@ async function upsertCurrentCourts(allCourts, scrapedAt) {
 
     ops.push({
       updateOne: {
-        filter: { courtCode: court.id },
+        filter: { courthouse, courtCode: court.id },
         update: {
           $set: {
+            courthouse,
             data: court,
             dataHash: newHash,
+            fingerprint: fingerprints.get(court.id),
             checkedAt: new Date(scrapedAt),
             changedAt: new Date(scrapedAt),
             isVisible: true,
@@ -72,7 +84,7 @@ async function upsertCurrentCourts(allCourts, scrapedAt) {
 
     ops.push({
       updateOne: {
-        filter: { courtCode: doc.courtCode },
+        filter: { courthouse, courtCode: doc.courtCode },
         update: {
           $set: {
             checkedAt: new Date(scrapedAt),
@@ -89,9 +101,9 @@ async function upsertCurrentCourts(allCourts, scrapedAt) {
   }
 }
 
-async function getAllCurrentCourts() {
+async function getAllCurrentCourts(courthouse = null) {
   const docs = await CurrentCourt
-    .find({})
+    .find(courthouse ? { courthouse } : {})
     .lean()
     .sort({ courtCode: 1 });
 
@@ -111,4 +123,16 @@ async function getAllCurrentCourts() {
   };
 }
 
-module.exports = { upsertCurrentCourts,  getAllCurrentCourts };
+/**
+ * Persisted courts for one courthouse, for restoring in-memory state.
+ */
+async function loadCourtState(courthouse) {
+  return CurrentCourt.find(
+    { courthouse, isVisible: { $ne: false } },
+    { courtCode: 1, fingerprint: 1, data: 1 }
+  )
+    .sort({ courtCode: 1 })
+    .lean();
+}
+
+module.exports = { upsertCurrentCourts,  getAllCurrentCourts, loadCourtState };
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { Device } = require('../models');
+const logger = require('../config/logger');
+
+const TOKEN_TTL_SECONDS =
+  parseInt(process.env.DEVICE_TOKEN_TTL, 10) || 30 * 24 * 60 * 60; // 30 days
+
+// How long after expiry a token may still be exchanged for a new one
+const REFRESH_GRACE_SECONDS =
+  parseInt(process.env.DEVICE_TOKEN_REFRESH_GRACE, 10) || 7 * 24 * 60 * 60; // 7 days
+
+let signingKeys = null;
+
+/* ==================== KEYS ==================== */
+
+/**
+ * DEVICE_TOKEN_SECRETS="k2:newsecret,k1:oldsecret"
+ * The first key signs new tokens; the rest are still accepted, so a secret
+ * can be rotated by prepending a new one and dropping the old one once its
+ * tokens have expired.
+ */
+function getSigningKeys() {
+  if (signingKeys) return signingKeys;
+
+  const raw = (process.env.DEVICE_TOKEN_SECRETS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  signingKeys = raw.map((entry, i) => {
+    const sep = entry.indexOf(':');
+    return sep > 0
+      ? { kid: entry.slice(0, sep), secret: entry.slice(sep + 1) }
+      : { kid: `k${raw.length - i}`, secret: entry };
+  });
+
+  if (!signingKeys.length) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('DEVICE_TOKEN_SECRETS is not configured');
+    }
+    logger.warn('DEVICE_TOKEN_SECRETS not set; using an ephemeral dev secret');
+    signingKeys = [{ kid: 'dev', secret: crypto.randomBytes(32).toString('hex') }];
+  }
+
+  return signingKeys;
+}
+
+/* ==================== TOKENS ==================== */
+
+const b64url = (input) => Buffer.from(input).toString('base64url');
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * HS256 JWT: { sub: deviceId, ver: Device.tokenVersion, iat, exp }
+ */
+function issueDeviceToken(device) {
+  const [{ kid, secret }] = getSigningKeys();
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + TOKEN_TTL_SECONDS;
+
+  const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid }));
+  const payload = b64url(JSON.stringify({
+    sub: device.deviceId,
+    ver: device.tokenVersion || 0,
+    iat,
+    exp
+  }));
+
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`,
+    expiresAt: new Date(exp * 1000)
+  };
+}
+
+/**
+ * Checks signature and expiry only. Returns the payload or null.
+ * `graceSeconds` accepts a token that expired at most that long ago.
+ */
+function verifyDeviceToken(token, { graceSeconds = 0 } = {}) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+
+  let kid;
+  let claims;
+  try {
+    kid = JSON.parse(Buffer.from(header, 'base64url').toString()).kid;
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (e) {
+    return null;
+  }
+
+  const key = getSigningKeys().find(k => k.kid === kid);
+  if (!key) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, key.secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  if (!claims.sub || !claims.exp || (claims.exp + graceSeconds) * 1000 < Date.now()) return null;
+
+  return claims;
+}
+
+/**
+ * Full check: valid token for an active device whose tokens have not been
+ * revoked by a later register/refresh. Returns the Device or null.
+ * `allowInactive` lets a device deactivated for a dead FCM token re-register.
+ * `allowExpired` accepts a token within REFRESH_GRACE_SECONDS of expiry, for
+ * register/refresh only: both rotate it straight away.
+ */
+async function authenticateDeviceToken(token, { allowInactive = false, allowExpired = false } = {}) {
+  const claims = verifyDeviceToken(token, {
+    graceSeconds: allowExpired ? REFRESH_GRACE_SECONDS : 0
+  });
+  if (!claims) return null;
+
+  const device = await Device.findOne({
+    deviceId: claims.sub,
+    ...(!allowInactive && { isActive: true })
+  });
+  if (!device || (device.tokenVersion || 0) !== claims.ver) return null;
+
+  return device;
+}
+
+/**
+ * Bumps tokenVersion (revoking earlier tokens) and issues a fresh token.
+ */
+async function rotateDeviceToken(deviceId) {
+  const device = await Device.findOneAndUpdate(
+    { deviceId },
+    { $inc: { tokenVersion: 1 }, $set: { tokenIssuedAt: new Date() } },
+    { new: true }
+  );
+  if (!device) return null;
+
+  return { device, ...issueDeviceToken(device) };
+}
+
+/**
+ * A device that lost its token (reinstall, cleared storage) proves it is
+ * the same install by presenting the FCM token registered for it.
+ */
+function matchesFcmToken(registered, presented) {
+  if (typeof registered !== 'string' || typeof presented !== 'string') return false;
+
+  const a = Buffer.from(registered);
+  const b = Buffer.from(presented);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function extractToken(headers = {}) {
+  const auth = headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return headers['x-device-token'] || null;
+}
+
+module.exports = {
+  issueDeviceToken,
+  verifyDeviceToken,
+  authenticateDeviceToken,
+  rotateDeviceToken,
+  matchesFcmToken,
+  extractToken
+};
@@ -0,0 +1,369 @@
+const { CaseHistory, Hearing, Watchlist } = require('../models');
+const { getAllCurrentCourts } = require('./currentCourtService');
+const { getListingsForCases } = require('./causeListService');
+const { addSittingTime } = require('./courtCalendarService');
+const logger = require('../config/logger');
+const { canonicalCaseNumber } = require('../utils/caseNumber');
+const { hearingDateFor } = require('../utils/hearing');
+
+const LOOKBACK_DAYS = parseInt(process.env.ETA_LOOKBACK_DAYS, 10) || 30;
+const DEFAULT_CASE_MINUTES = parseFloat(process.env.ETA_DEFAULT_CASE_MINUTES) || 8;
+const MIN_CASE_SECONDS = 20;
+const MAX_CASE_SECONDS = 3 * 60 * 60;
+const MIN_JUDGE_SAMPLES = 5;
+const FULL_CONFIDENCE_SAMPLES = 30;
+const RANGE_Z = 1.28; // ~80% interval
+
+/* ==================== HELPERS ==================== */
+
+function dayKey(date) {
+  return hearingDateFor(date);
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stdDev(values, avg) {
+  if (values.length < 2) return avg * 0.5;
+  const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+function inRange(seconds) {
+  return seconds >= MIN_CASE_SECONDS && seconds <= MAX_CASE_SECONDS;
+}
+
+/**
+ * Turns history events into per-case durations ({ id, seconds }), for
+ * periods before hearings were rebuilt by the session builder.
+ * Uses sessionStartTime/sessionEndTime when recorded, otherwise the gap
+ * to the next event on the same court on the same day.
+ */
+function extractDurations(events) {
+  const byCourtDay = new Map();
+
+  for (const e of events) {
+    const key = `${e.courtNumber}|${dayKey(e.scrapedAt)}`;
+    if (!byCourtDay.has(key)) byCourtDay.set(key, []);
+    byCourtDay.get(key).push(e);
+  }
+
+  const durations = [];
+
+  for (const list of byCourtDay.values()) {
+    list.sort((a, b) => new Date(a.scrapedAt) - new Date(b.scrapedAt));
+
+    list.forEach((e, i) => {
+      if (e.status !== 'IN_SESSION') return;
+
+      let seconds = null;
+      if (e.duration) {
+        seconds = e.duration;
+      } else if (e.sessionStartTime && e.sessionEndTime) {
+        seconds = (new Date(e.sessionEndTime) - new Date(e.sessionStartTime)) / 1000;
+      } else if (list[i + 1]) {
+        seconds = (new Date(list[i + 1].scrapedAt) - new Date(e.scrapedAt)) / 1000;
+      }
+
+      if (inRange(seconds)) {
+        durations.push({ id: String(e._id), seconds });
+      }
+    });
+  }
+
+  return durations;
+}
+
+/**
+ * Durations ({ id, seconds }) of recent hearings matching `match`; the id
+ * is the hearing's (or its history event's), so samples can be merged.
+ */
+async function getDurationSamples(match) {
+  const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const hearings = await Hearing.find(
+    { ...match, endedAt: { $gte: since }, duration: { $ne: null } },
+    { duration: 1 }
+  ).lean();
+
+  if (hearings.length) {
+    return hearings
+      .filter(h => inRange(h.duration))
+      .map(h => ({ id: String(h._id), seconds: h.duration }));
+  }
+
+  const events = await CaseHistory.find(
+    { ...match, scrapedAt: { $gte: since } },
+    {
+      courtNumber: 1,
+      status: 1,
+      scrapedAt: 1,
+      sessionStartTime: 1,
+      sessionEndTime: 1,
+      duration: 1
+    }
+  ).lean();
+
+  return extractDurations(events);
+}
+
+/**
+ * Per-case pace for a court, blended with the judge's own pace across all
+ * courts once there are enough samples for the judge.
+ */
+async function getPace(courtNumber, judgeName, courthouse = null) {
+  const [courtSamples, judgeSamples] = await Promise.all([
+    getDurationSamples({ courtNumber, ...(courthouse && { courthouse }) }),
+    judgeName ? getDurationSamples({ judgeName }) : []
+  ]);
+
+  const useJudge = judgeSamples.length >= MIN_JUDGE_SAMPLES;
+
+  // A hearing of this judge in this court is in both sets; count it once
+  const byId = new Map();
+  for (const sample of useJudge ? judgeSamples.concat(courtSamples) : courtSamples) {
+    byId.set(sample.id, sample.seconds);
+  }
+  const samples = Array.from(byId.values());
+
+  if (!samples.length) {
+    const avg = DEFAULT_CASE_MINUTES * 60;
+    return { source: 'default', sampleSize: 0, avgSeconds: avg, stdDevSeconds: avg * 0.5 };
+  }
+
+  const avg = mean(samples);
+
+  return {
+    source: useJudge ? 'judge' : 'court',
+    sampleSize: samples.length,
+    avgSeconds: avg,
+    stdDevSeconds: stdDev(samples, avg)
+  };
+}
+
+/**
+ * Finds where a case is expected to be heard today: the live board first,
+ * then today's cause list, then a position a watcher saw or entered
+ * today, then today's latest history event. A position from another day
+ * says nothing about today's queue, so it is never used.
+ */
+async function locateCase(caseNumber, courts, now) {
+  const today = hearingDateFor(now);
+
+  const live = courts.find(c => c.caseNumber === caseNumber);
+  if (live) {
+    return {
+      courthouse: live.courthouse,
+      courtNumber: live.courtNumber,
+      position: live.queuePosition,
+      source: 'live'
+    };
+  }
+
+  const listing = (await getListingsForCases([caseNumber], now))[caseNumber];
+  if (listing) {
+    return {
+      courthouse: listing.courthouse,
+      courtNumber: listing.courtNumber,
+      position: listing.position,
+      source: 'cause_list'
+    };
+  }
+
+  const watch = await Watchlist.findOne(
+    {
+      caseNumber,
+      lastSeenCourt: { $ne: null },
+      lastSeenPosition: { $ne: null },
+      lastPositionAt: { $ne: null }
+    },
+    { courthouse: 1, lastSeenCourt: 1, lastSeenPosition: 1, lastPositionAt: 1 }
+  ).sort({ lastPositionAt: -1 }).lean();
+
+  if (watch && hearingDateFor(watch.lastPositionAt) === today) {
+    return {
+      courthouse: watch.courthouse,
+      courtNumber: watch.lastSeenCourt,
+      position: watch.lastSeenPosition,
+      source: 'watchlist'
+    };
+  }
+
+  const history = await CaseHistory.findOne(
+    { caseNumber, position: { $ne: null } },
+    { courthouse: 1, courtNumber: 1, position: 1, scrapedAt: 1 }
+  ).sort({ scrapedAt: -1 }).lean();
+
+  if (history && hearingDateFor(history.scrapedAt) === today) {
+    return {
+      courthouse: history.courthouse,
+      courtNumber: history.courtNumber,
+      position: history.position,
+      source: 'history'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Seconds the current case has been heard, recess pauses excluded.
+ */
+async function getCurrentCaseElapsed(court, now) {
+  const hearing = await Hearing.findOne(
+    {
+      courthouse: court.courthouse,
+      courtNumber: court.courtNumber,
+      caseNumber: court.caseNumber,
+      endedAt: null
+    },
+    { startedAt: 1, pausedSeconds: 1, recessStartedAt: 1 }
+  ).lean();
+
+  if (hearing) {
+    const until = hearing.recessStartedAt ? new Date(hearing.recessStartedAt) : now;
+    return (until - new Date(hearing.startedAt)) / 1000 - (hearing.pausedSeconds || 0);
+  }
+
+  const startedAt = await getCurrentCaseStart(court);
+  return startedAt ? (now - startedAt) / 1000 : null;
+}
+
+async function getCurrentCaseStart(court) {
+  const event = await CaseHistory.findOne(
+    {
+      courthouse: court.courthouse,
+      courtNumber: court.courtNumber,
+      caseNumber: court.caseNumber,
+      status: 'IN_SESSION'
+    },
+    { scrapedAt: 1, sessionStartTime: 1 }
+  ).sort({ scrapedAt: -1 }).lean();
+
+  if (!event) return null;
+  return new Date(event.sessionStartTime || event.scrapedAt);
+}
+
+function computeConfidence(sampleSize, casesAhead) {
+  const sampleFactor = Math.min(1, sampleSize / FULL_CONFIDENCE_SAMPLES);
+  const distanceFactor = 1 / (1 + casesAhead / 10);
+  return Math.round(100 * (0.2 + 0.8 * sampleFactor) * distanceFactor);
+}
+
+/* ==================== ESTIMATOR ==================== */
+
+/**
+ * Estimates when a case will be called.
+ *
+ * `options.courtNumber` / `options.position` override the located position,
+ * e.g. when the caller already knows the serial number from a cause list.
+ * Status is NOT_LISTED when the case cannot be placed in any of today's
+ * court queues.
+ */
+async function calculateEstimatedWaitTime(rawCaseNumber, options = {}) {
+  const caseNumber = canonicalCaseNumber(rawCaseNumber);
+  const now = options.now ? new Date(options.now) : new Date();
+
+  let courts = [];
+  try {
+    courts = (await getAllCurrentCourts()).data;
+  } catch (e) {
+    logger.warn(`ETA: no live board available (${e.message})`);
+  }
+
+  const located = options.courtNumber && options.position != null
+    ? {
+      courthouse: options.courthouse,
+      courtNumber: options.courtNumber,
+      position: options.position,
+      source: 'provided'
+    }
+    : await locateCase(caseNumber, courts, now);
+
+  if (!located || !located.courtNumber) {
+    return {
+      caseNumber,
+      status: 'NOT_LISTED',
+      estimatedWaitMinutes: null,
+      estimatedStartTime: null,
+      confidence: 0,
+      calculatedAt: now
+    };
+  }
+
+  const court = courts.find(
+    c => c.courtNumber === located.courtNumber &&
+      (!located.courthouse || c.courthouse === located.courthouse)
+  ) || null;
+
+  const base = {
+    caseNumber,
+    courthouse: court ? court.courthouse : located.courthouse || null,
+    courtNumber: located.courtNumber,
+    position: located.position ?? null,
+    positionSource: located.source,
+    currentPosition: court ? court.queuePosition : null,
+    courtStatus: court ? court.caseStatus : null,
+    calculatedAt: now
+  };
+
+  if (court && court.caseNumber === caseNumber && court.caseStatus === 'IN_SESSION') {
+    return {
+      ...base,
+      status: 'LIVE',
+      casesAhead: 0,
+      estimatedWaitMinutes: 0,
+      estimatedStartTime: now,
+      range: { earliest: now, latest: now },
+      confidence: 100
+    };
+  }
+
+  if (!court || court.caseStatus === 'SITTING_OVER' || court.queuePosition == null || base.position == null) {
+    return { ...base, status: 'UNKNOWN', estimatedWaitMinutes: null, estimatedStartTime: null, confidence: 0 };
+  }
+
+  const casesAhead = base.position - court.queuePosition;
+  if (casesAhead < 0) {
+    return { ...base, status: 'PASSED', casesAhead, estimatedWaitMinutes: null, estimatedStartTime: null, confidence: 0 };
+  }
+
+  const pace = await getPace(court.courtNumber, court.judgeName, court.courthouse);
+
+  // Time left on the case being heard right now
+  let currentRemaining = pace.avgSeconds;
+  const elapsed = court.caseNumber ? await getCurrentCaseElapsed(court, now) : null;
+  if (elapsed != null && court.caseStatus === 'IN_SESSION') {
+    currentRemaining = Math.max(pace.avgSeconds - elapsed, pace.avgSeconds * 0.1);
+  }
+
+  const queued = Math.max(casesAhead - 1, 0);
+  const expectedSeconds = casesAhead === 0 ? 0 : currentRemaining + queued * pace.avgSeconds;
+  const spreadSeconds = RANGE_Z * pace.stdDevSeconds * Math.sqrt(casesAhead);
+
+  // Queue time only runs while the court sits; the rest rolls to the next sitting
+  const at = (seconds) => addSittingTime(court.courthouse, now, seconds);
+
+  return {
+    ...base,
+    status: 'QUEUED',
+    casesAhead,
+    averageCaseMinutes: Math.round((pace.avgSeconds / 60) * 10) / 10,
+    paceSource: pace.source,
+    sampleSize: pace.sampleSize,
+    estimatedWaitMinutes: Math.round(expectedSeconds / 60),
+    estimatedStartTime: at(expectedSeconds),
+    range: {
+      earliest: at(expectedSeconds - spreadSeconds),
+      latest: at(expectedSeconds + spreadSeconds)
+    },
+    confidence: computeConfidence(pace.sampleSize, casesAhead),
+    inRecess: court.caseStatus === 'RECESS'
+  };
+}
+
+module.exports = {
+  calculateEstimatedWaitTime,
+  getPace
+};
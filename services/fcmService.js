@@ -1,6 +1,5 @@
 const admin = require('firebase-admin');
 const logger = require('../config/logger');
-const { NotificationLog } = require('../models');
 const path = require('path');
 const fs = require('fs');
 
@@ -47,38 +46,48 @@ const initializeFirebase = () => {
   }
 };
 
-/* ==================== SEND ==================== */
-
-const sendNotification = async (fcmToken, notification, data = {}) => {
-  const app = initializeFirebase();
-  if (!app) return { success: false };
-
-  const message = {
-    token: fcmToken,
-    notification,
-    data: {
-      ...data,
-      timestamp: new Date().toISOString()
-    },
-    android: {
-      priority: 'high',
-      notification: {
-        channelId: 'court_alerts',
-        sound: 'default'
-      }
+/* ==================== MESSAGES ==================== */
+
+const buildMessage = (fcmToken, notification, data = {}) => ({
+  token: fcmToken,
+  notification,
+  data: {
+    ...data,
+    timestamp: new Date().toISOString()
+  },
+  android: {
+    priority: 'high',
+    notification: {
+      channelId: 'court_alerts',
+      sound: 'default'
     }
-  };
-
-  const response = await admin.messaging().send(message);
-  return { success: true, messageId: response };
-};
-
-/* ==================== CASE ALERT ==================== */
+  }
+});
 
-const sendCaseAlert = async (deviceId, fcmToken, caseNumber, alertType, details = {}) => {
+/**
+ * Title/body and string-only data payload for a case alert, or null for an
+ * unknown alert type.
+ */
+const buildCaseAlert = (caseNumber, alertType, details = {}) => {
   let notification;
 
   switch (alertType) {
+    case 'early_warning':
+      notification = {
+        title: `🔔 Case Coming Up`,
+        body: `${caseNumber} is ${details.casesAhead} items away in Court ${details.courtNumber}`
+      };
+      break;
+
+    case 'approaching':
+      notification = {
+        title: `⏳ Case Approaching`,
+        body: details.casesAhead === 1
+          ? `${caseNumber} is NEXT in Court ${details.courtNumber}`
+          : `${caseNumber} is ${details.casesAhead} items away in Court ${details.courtNumber}`
+      };
+      break;
+
     case 'in_session':
       notification = {
         title: `⚖️ Case Started`,
@@ -94,30 +103,120 @@ const sendCaseAlert = async (deviceId, fcmToken, caseNumber, alertType, details
       break;
 
     default:
-      return;
+      return null;
+  }
+
+  return {
+    notification,
+    data: {
+      caseNumber,
+      alertType,
+      courtNumber: details.courtNumber || '',
+      streamUrl: details.streamUrl || '',
+      position: details.position != null ? String(details.position) : '',
+      casesAhead: details.casesAhead != null ? String(details.casesAhead) : ''
+    }
+  };
+};
+
+/* ==================== ERRORS ==================== */
+
+// The token will never work again; the device has to re-register
+const INVALID_TOKEN_CODES = new Set([
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+]);
+
+// Worth another attempt after a pause
+const TRANSIENT_CODES = new Set([
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unavailable',
+  'messaging/quota-exceeded',
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded',
+  'app/network-error',
+  'app/network-timeout'
+]);
+
+/**
+ * 'invalid_target' | 'transient' | 'permanent'
+ */
+const classifyFcmError = (code) => {
+  if (INVALID_TOKEN_CODES.has(code)) return 'invalid_target';
+  if (TRANSIENT_CODES.has(code)) return 'transient';
+  return 'permanent';
+};
+
+/* ==================== SEND ==================== */
+
+const sendNotification = async (fcmToken, notification, data = {}) => {
+  const app = initializeFirebase();
+  if (!app) return { success: false };
+
+  const response = await admin.messaging().send(buildMessage(fcmToken, notification, data));
+  return { success: true, messageId: response };
+};
+
+// FCM accepts at most 500 messages per sendEach call
+const FCM_BATCH_LIMIT = 500;
+
+/**
+ * Sends many messages in as few requests as possible. Resolves to one
+ * { success, messageId, errorCode, error } per message, in order; never
+ * rejects. A request that fails as a whole fails only its own chunk,
+ * marked retryable, so chunks already delivered are not sent again.
+ */
+const sendBatch = async (messages) => {
+  const app = initializeFirebase();
+  if (!app) {
+    return messages.map(() => ({
+      success: false,
+      errorCode: 'fcm/not-configured',
+      error: 'Firebase not configured'
+    }));
+  }
+
+  const results = [];
+
+  for (let i = 0; i < messages.length; i += FCM_BATCH_LIMIT) {
+    const chunk = messages.slice(i, i + FCM_BATCH_LIMIT);
+
+    let responses;
+    try {
+      ({ responses } = await admin.messaging().sendEach(chunk));
+    } catch (err) {
+      logger.error(`FCM batch of ${chunk.length} failed`, err);
+      for (let j = 0; j < chunk.length; j++) {
+        results.push({
+          success: false,
+          errorCode: err.code || 'fcm/batch-failed',
+          error: err.message,
+          retryable: true
+        });
+      }
+      continue;
+    }
+
+    for (const r of responses) {
+      results.push(r.success
+        ? { success: true, messageId: r.messageId }
+        : {
+          success: false,
+          errorCode: (r.error && r.error.code) || 'messaging/unknown-error',
+          error: r.error ? r.error.message : null
+        });
+    }
   }
 
-  const result = await sendNotification(fcmToken, notification, {
-    caseNumber,
-    courtNumber: details.courtNumber || '',
-    streamUrl: details.streamUrl || ''
-  });
-
-  await NotificationLog.create({
-    deviceId,
-    caseNumber,
-    notificationType: alertType,
-    title: notification.title,
-    message: notification.body,
-    data: details,
-    success: result.success
-  });
-
-  return result;
+  return results;
 };
 
 module.exports = {
   initializeFirebase,
+  buildMessage,
+  buildCaseAlert,
+  classifyFcmError,
   sendNotification,
-  sendCaseAlert
+  sendBatch
 };
@@ -0,0 +1,142 @@
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { Lease } = require('../models');
+
+/**
+ * MongoDB lease-based leader election.
+ *
+ * Every instance tries to hold the lease document for a role. The holder
+ * renews it every LEASE_TTL / 3; if it stops renewing (crash, network
+ * split) another instance takes over once the lease expires. A holder that
+ * cannot renew steps down before its lease runs out, so two leaders never
+ * overlap by more than clock skew.
+ *
+ *   LEASE_TTL_MS   lease length (default 30s)
+ */
+
+const LEASE_TTL_MS = parseInt(process.env.LEASE_TTL_MS, 10) || 30000;
+
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// role -> { isLeader, expiresAt, timer, onAcquire, onLose }
+const elections = new Map();
+
+/* ==================== LEASE ==================== */
+
+/**
+ * Takes or renews the lease. Resolves to the new expiry, or null when
+ * someone else holds it.
+ */
+async function acquireLease(role, ttl = LEASE_TTL_MS) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttl);
+
+  try {
+    const lease = await Lease.findOneAndUpdate(
+      {
+        _id: role,
+        $or: [{ holder: instanceId }, { expiresAt: { $lt: now } }]
+      },
+      {
+        $set: { holder: instanceId, expiresAt, renewedAt: now },
+        $setOnInsert: { acquiredAt: now }
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    return lease.expiresAt;
+  } catch (err) {
+    // Upsert raced with a live lease held elsewhere
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+async function releaseLease(role) {
+  await Lease.deleteOne({ _id: role, holder: instanceId });
+}
+
+/* ==================== ELECTION ==================== */
+
+async function campaign(role) {
+  const election = elections.get(role);
+  if (!election) return;
+
+  let expiresAt = null;
+  try {
+    expiresAt = await acquireLease(role);
+  } catch (err) {
+    logger.error(`Lease renewal failed (${role})`, err);
+    // Keep leading only while the last lease is still safely valid
+    if (election.isLeader && election.expiresAt - Date.now() > LEASE_TTL_MS / 3) return;
+  }
+
+  election.expiresAt = expiresAt;
+
+  if (expiresAt && !election.isLeader) {
+    election.isLeader = true;
+    logger.info(`Became leader for ${role} (${instanceId})`);
+    election.onAcquire();
+  } else if (!expiresAt && election.isLeader) {
+    election.isLeader = false;
+    logger.warn(`Lost leadership for ${role} (${instanceId})`);
+    election.onLose();
+  }
+}
+
+/**
+ * Runs onAcquire() when this instance becomes leader for `role` and
+ * onLose() when it stops being leader.
+ */
+function startElection(role, { onAcquire = () => {}, onLose = () => {} } = {}) {
+  if (elections.has(role)) return;
+
+  const election = { isLeader: false, expiresAt: null, timer: null, onAcquire, onLose };
+  elections.set(role, election);
+
+  const run = () => campaign(role).catch(err => logger.error(`Election for ${role} failed`, err));
+
+  election.timer = setInterval(run, Math.floor(LEASE_TTL_MS / 3));
+  run();
+}
+
+/**
+ * Stops campaigning and hands the lease over immediately (shutdown).
+ */
+async function stopElection(role) {
+  const election = elections.get(role);
+  if (!election) return;
+
+  clearInterval(election.timer);
+  elections.delete(role);
+
+  if (election.isLeader) {
+    election.onLose();
+    await releaseLease(role);
+    logger.info(`Released leadership for ${role}`);
+  }
+}
+
+function isLeader(role) {
+  const election = elections.get(role);
+  return !!(election && election.isLeader);
+}
+
+async function getLeaderStatus(role) {
+  const lease = await Lease.findById(role).lean();
+  return {
+    instanceId,
+    isLeader: isLeader(role),
+    leader: lease && lease.expiresAt > new Date() ? lease.holder : null,
+    leaseExpiresAt: lease ? lease.expiresAt : null
+  };
+}
+
+module.exports = {
+  instanceId,
+  startElection,
+  stopElection,
+  isLeader,
+  getLeaderStatus
+};
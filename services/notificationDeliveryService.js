@@ -0,0 +1,253 @@
+const logger = require('../config/logger');
+const { NotificationLog } = require('../models');
+const { buildCaseAlert } = require('./fcmService');
+const { getChannel, resolveTargets } = require('./channels');
+const { hearingDateFor, hearingKey } = require('../utils/hearing');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.NOTIFY_RETRY_BASE_MS, 10) || 2000;
+const RETRY_MAX_MS = 60 * 1000;
+
+/**
+ * Pending deliveries, one per alert per channel. Alerts raised during a
+ * scrape cycle are sent together by flushNotifications(); failed transient
+ * sends come back here with a nextAttemptAt.
+ */
+const queue = [];
+
+let flushing = null;
+let retryTimer = null;
+
+/* ==================== HELPERS ==================== */
+
+// Exponential with ±50% jitter so retries from one batch spread out
+function retryDelay(attempt) {
+  const base = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return Math.round(base * (0.5 + Math.random()));
+}
+
+function statusFor(result, outcome, willRetry) {
+  if (result.success) return 'sent';
+  if (outcome === 'invalid_target') return 'invalid_target';
+  return willRetry ? 'retrying' : 'failed';
+}
+
+/* ==================== ENQUEUE ==================== */
+
+const isDuplicateKey = (err) => err && err.code === 11000;
+
+/**
+ * Claims the alert for this hearing and channel by inserting its log.
+ * Returns the log id, or null when it was already sent for this hearing.
+ */
+async function claimDelivery(item, at) {
+  const { courtNumber = null, position = null } = item.details;
+
+  try {
+    const log = await NotificationLog.create({
+      deviceId: item.deviceId,
+      caseNumber: item.caseNumber,
+      notificationType: item.alertType,
+      channel: item.channel,
+      title: item.notification.title,
+      message: item.notification.body,
+      data: item.details,
+      courtNumber,
+      position,
+      hearingDate: hearingDateFor(at),
+      hearingKey: hearingKey({ date: at, courtNumber, caseNumber: item.caseNumber }),
+      status: 'queued',
+      success: false
+    });
+    return log._id;
+  } catch (err) {
+    if (isDuplicateKey(err)) return null;
+    throw err;
+  }
+}
+
+/**
+ * Queues a case alert on every channel the device has enabled, for the
+ * next flush. An alert already sent on a channel for the same hearing
+ * (date + court + case) is skipped. Returns the number of deliveries queued.
+ */
+async function sendCaseAlert(device, caseNumber, alertType, details = {}, at = new Date()) {
+  const alert = buildCaseAlert(caseNumber, alertType, details);
+  if (!alert) return 0;
+
+  let queued = 0;
+
+  for (const { channel, target } of resolveTargets(device)) {
+    const item = {
+      channel: channel.id,
+      target,
+      deviceId: device.deviceId,
+      caseNumber,
+      alertType,
+      details,
+      notification: alert.notification,
+      data: alert.data,
+      attempt: 0,
+      nextAttemptAt: 0,
+      logId: null
+    };
+
+    item.logId = await claimDelivery(item, at);
+    if (!item.logId) {
+      logger.debug(`Duplicate ${alertType} for ${caseNumber} (${device.deviceId}) via ${channel.id} skipped`);
+      continue;
+    }
+
+    queue.push(item);
+    queued++;
+  }
+
+  return queued;
+}
+
+/* ==================== LOGGING ==================== */
+
+/**
+ * Appends an attempt to the alert's log and records its outcome.
+ */
+async function recordAttempt(item, result, status) {
+  const attempt = {
+    attempt: item.attempt,
+    at: new Date(),
+    success: result.success,
+    messageId: result.messageId || null,
+    errorCode: result.errorCode || null,
+    error: result.error || null
+  };
+
+  try {
+    await NotificationLog.updateOne(
+      { _id: item.logId },
+      {
+        $set: {
+          success: result.success,
+          status,
+          errorCode: attempt.errorCode,
+          error: attempt.error,
+          ...(result.success && { sentAt: attempt.at })
+        },
+        $push: { attempts: attempt }
+      }
+    );
+  } catch (err) {
+    logger.warn(`Notification log failed for ${item.caseNumber} (${item.deviceId}): ${err.message}`);
+  }
+}
+
+/* ==================== DELIVERY ==================== */
+
+async function settle(channel, item, result) {
+  let outcome = null;
+  if (!result.success) {
+    outcome = result.retryable ? 'transient' : channel.classifyError(result.errorCode);
+  }
+  const willRetry = outcome === 'transient' && item.attempt < MAX_ATTEMPTS;
+
+  await recordAttempt(item, result, statusFor(result, outcome, willRetry));
+
+  if (outcome === 'invalid_target') {
+    await channel.invalidate(item);
+  } else if (willRetry) {
+    item.nextAttemptAt = Date.now() + retryDelay(item.attempt);
+    queue.push(item);
+  } else if (!result.success) {
+    logger.warn(
+      `Alert ${item.alertType} for ${item.caseNumber} (${item.deviceId}) via ${item.channel} ` +
+      `failed after ${item.attempt} attempt(s): ${result.errorCode}`
+    );
+  }
+}
+
+async function deliver(channel, items) {
+  for (const item of items) item.attempt++;
+
+  let results;
+  try {
+    results = await channel.send(items);
+  } catch (err) {
+    // The whole request failed (network, auth); nothing was delivered
+    logger.error(`${channel.id} batch send failed`, err);
+    results = items.map(() => ({
+      success: false,
+      errorCode: err.code || `${channel.id}/batch-failed`,
+      error: err.message,
+      retryable: true
+    }));
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    try {
+      await settle(channel, items[i], results[i]);
+    } catch (err) {
+      logger.error(`Settling alert for ${items[i].deviceId} failed`, err);
+    }
+  }
+}
+
+async function drain() {
+  const now = Date.now();
+  const due = queue.filter(i => i.nextAttemptAt <= now);
+  const waiting = queue.filter(i => i.nextAttemptAt > now);
+
+  queue.length = 0;
+  queue.push(...waiting);
+
+  const byChannel = new Map();
+  for (const item of due) {
+    if (!byChannel.has(item.channel)) byChannel.set(item.channel, []);
+    byChannel.get(item.channel).push(item);
+  }
+
+  for (const [id, items] of byChannel) {
+    await deliver(getChannel(id), items);
+    logger.info(`Sent ${id} notification batch of ${items.length}`);
+  }
+}
+
+function scheduleRetry() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (!queue.length) return;
+
+  const next = Math.min(...queue.map(i => i.nextAttemptAt));
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushNotifications().catch(err => logger.error('Notification retry failed', err));
+  }, Math.max(next - Date.now(), 0));
+
+  retryTimer.unref();
+}
+
+/**
+ * Sends everything that is due, one batch per channel. Called once per
+ * scrape cycle; retries schedule their own flush.
+ */
+function flushNotifications() {
+  if (flushing) return flushing;
+
+  flushing = drain().finally(() => {
+    flushing = null;
+    scheduleRetry();
+  });
+
+  return flushing;
+}
+
+function getDeliveryQueueStatus() {
+  return {
+    pending: queue.length,
+    retrying: queue.filter(i => i.attempt > 0).length,
+    flushing: !!flushing
+  };
+}
+
+module.exports = {
+  sendCaseAlert,
+  flushNotifications,
+  getDeliveryQueueStatus
+};
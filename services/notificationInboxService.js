@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const { NotificationLog } = require('../models');
+const { canonicalCaseNumber } = require('../utils/caseNumber');
+
+/**
+ * In-app inbox over NotificationLog.
+ *
+ * An alert sent on several channels has one log per channel; the inbox
+ * shows it once, grouped by hearing and alert type, and read state is
+ * applied to the whole group.
+ */
+
+/* ==================== HELPERS ==================== */
+
+function buildMatch(deviceId, { caseNumber, type } = {}) {
+  return {
+    deviceId,
+    notificationType: { $ne: 'error' },
+    ...(caseNumber && { caseNumber: canonicalCaseNumber(caseNumber) }),
+    ...(type && { notificationType: type })
+  };
+}
+
+// Legacy logs have no hearingKey and stand alone
+const GROUP_KEY = {
+  hearing: { $ifNull: ['$hearingKey', { $toString: '$_id' }] },
+  type: '$notificationType'
+};
+
+const groupStages = [
+  { $sort: { createdAt: 1 } },
+  {
+    $group: {
+      _id: GROUP_KEY,
+      id: { $first: '$_id' },
+      caseNumber: { $first: '$caseNumber' },
+      type: { $first: '$notificationType' },
+      title: { $first: '$title' },
+      message: { $first: '$message' },
+      courtNumber: { $first: '$courtNumber' },
+      position: { $first: '$position' },
+      hearingDate: { $first: '$hearingDate' },
+      data: { $first: '$data' },
+      createdAt: { $first: '$createdAt' },
+      channels: { $addToSet: '$channel' },
+      delivered: { $max: { $eq: ['$status', 'sent'] } },
+      unread: { $max: { $eq: [{ $ifNull: ['$readAt', null] }, null] } },
+      readAt: { $max: '$readAt' }
+    }
+  }
+];
+
+function toEntry(group) {
+  return {
+    id: group.id,
+    caseNumber: group.caseNumber,
+    type: group.type,
+    title: group.title,
+    message: group.message,
+    courtNumber: group.courtNumber || null,
+    position: group.position ?? null,
+    hearingDate: group.hearingDate || null,
+    data: group.data || {},
+    channels: group.channels,
+    delivered: group.delivered,
+    read: !group.unread,
+    readAt: group.unread ? null : group.readAt,
+    createdAt: group.createdAt
+  };
+}
+
+/* ==================== QUERIES ==================== */
+
+/**
+ * Newest first. Returns { notifications, pagination }.
+ */
+async function listNotifications(deviceId, { page = 1, limit = 20, caseNumber, type, unread } = {}) {
+  const [result] = await NotificationLog.aggregate([
+    { $match: buildMatch(deviceId, { caseNumber, type }) },
+    ...groupStages,
+    ...(unread !== undefined ? [{ $match: { unread } }] : []),
+    { $sort: { createdAt: -1, id: -1 } },
+    {
+      $facet: {
+        items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'n' }]
+      }
+    }
+  ]);
+
+  const total = result.total.length ? result.total[0].n : 0;
+
+  return {
+    notifications: result.items.map(toEntry),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * { total, byCase: { caseNumber: n } } over unread inbox entries.
+ */
+async function getUnreadCounts(deviceId) {
+  const rows = await NotificationLog.aggregate([
+    { $match: buildMatch(deviceId) },
+    ...groupStages,
+    { $match: { unread: true } },
+    { $group: { _id: '$caseNumber', n: { $sum: 1 } } }
+  ]);
+
+  return {
+    total: rows.reduce((sum, r) => sum + r.n, 0),
+    byCase: Object.fromEntries(rows.map(r => [r._id, r.n]))
+  };
+}
+
+/* ==================== READ STATE ==================== */
+
+/**
+ * Marks one inbox entry (and its sibling channel logs) read or unread.
+ * Returns false when the notification does not belong to the device.
+ */
+async function setNotificationRead(deviceId, notificationId, read = true) {
+  if (!mongoose.isValidObjectId(notificationId)) return false;
+
+  const log = await NotificationLog.findOne(
+    { _id: notificationId, deviceId },
+    { hearingKey: 1, notificationType: 1 }
+  ).lean();
+  if (!log) return false;
+
+  const filter = log.hearingKey
+    ? { deviceId, hearingKey: log.hearingKey, notificationType: log.notificationType }
+    : { _id: log._id };
+
+  await NotificationLog.updateMany(filter, { $set: { readAt: read ? new Date() : null } });
+  return true;
+}
+
+/**
+ * Returns the number of logs marked read.
+ */
+async function markAllRead(deviceId, { caseNumber, type } = {}) {
+  const { modifiedCount } = await NotificationLog.updateMany(
+    { ...buildMatch(deviceId, { caseNumber, type }), readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+  return modifiedCount;
+}
+
+module.exports = {
+  listNotifications,
+  getUnreadCounts,
+  setNotificationRead,
+  markAllRead
+};
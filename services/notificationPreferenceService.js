@@ -0,0 +1,236 @@
+const { Device, Watchlist } = require('../models');
+const { getChannel, listChannels } = require('./channels');
+const { resolvesToPublicAddress } = require('../utils/publicAddress');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const ALERT_SETTING = {
+  early_warning: 'earlyWarning',
+  approaching: 'approaching',
+  in_session: 'inSession',
+  completed: 'completed'
+};
+
+/* ==================== HELPERS ==================== */
+
+const isSet = (v) => v !== undefined && v !== null;
+
+function toMinutes(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm || '');
+  return m ? parseInt(m[1], 10) * 60 + parseInt(m[2], 10) : null;
+}
+
+function minutesOfDay(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return get('hour') * 60 + get('minute');
+}
+
+/* ==================== RESOLUTION ==================== */
+
+/**
+ * Effective preferences for one watch: watch-level values win, then the
+ * device defaults, then built-in defaults.
+ */
+function resolvePreferences(watch, device) {
+  const own = (watch && watch.notificationSettings) || {};
+  const defaults = (device && device.notificationPreferences) || {};
+
+  const ownQuiet = own.quietHours || {};
+  const quietHours = ownQuiet.start && ownQuiet.end
+    ? ownQuiet
+    : defaults.quietHours || {};
+
+  return {
+    enabled: defaults.enabled !== false,
+    earlyWarning: own.earlyWarning !== false,
+    approaching: own.approaching !== false,
+    inSession: own.inSession !== false,
+    completed: own.completed !== false,
+    leadItems: isSet(own.leadItems) ? own.leadItems : defaults.leadItems ?? null,
+    // A watch's own list, even an empty one (every court), beats the device's
+    courts: Array.isArray(own.courts) ? own.courts : defaults.courts || [],
+    quietHours: quietHours.start && quietHours.end
+      ? {
+        start: quietHours.start,
+        end: quietHours.end,
+        allowLive: quietHours.allowLive !== false
+      }
+      : null,
+    timezone: defaults.timezone || DEFAULT_TIMEZONE
+  };
+}
+
+/**
+ * Quiet windows may wrap midnight (e.g. 18:00 -> 10:30).
+ */
+function isInQuietHours(prefs, at = new Date()) {
+  if (!prefs.quietHours) return false;
+
+  const start = toMinutes(prefs.quietHours.start);
+  const end = toMinutes(prefs.quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const now = minutesOfDay(at, prefs.timezone);
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+/**
+ * Decides whether an alert goes out. Returns { send, reason }.
+ */
+function shouldSendAlert(alertType, prefs, { courtNumber, at = new Date() } = {}) {
+  if (!prefs.enabled) return { send: false, reason: 'device_muted' };
+
+  const setting = ALERT_SETTING[alertType];
+  if (setting && !prefs[setting]) return { send: false, reason: 'type_disabled' };
+
+  if (prefs.courts.length && courtNumber && !prefs.courts.includes(String(courtNumber))) {
+    return { send: false, reason: 'court_filtered' };
+  }
+
+  if (isInQuietHours(prefs, at)) {
+    const liveException = alertType === 'in_session' && prefs.quietHours.allowLive;
+    if (!liveException) return { send: false, reason: 'quiet_hours' };
+  }
+
+  return { send: true, reason: null };
+}
+
+/* ==================== PERSISTENCE ==================== */
+
+const CLEARED_QUIET_HOURS = { start: null, end: null, allowLive: true };
+
+/**
+ * null clears a nested preference; Mongoose wants the sub-document reset
+ * rather than the path nulled.
+ */
+function normalisePreferenceValue(key, value) {
+  if (key === 'quietHours' && value === null) return CLEARED_QUIET_HOURS;
+  return value;
+}
+
+async function getDevicePreferences(deviceId) {
+  const device = await Device.findOne({ deviceId }, { notificationPreferences: 1 }).lean();
+  return device ? device.notificationPreferences || {} : null;
+}
+
+/**
+ * Partial update: only keys present in `prefs` change.
+ */
+async function updateDevicePreferences(deviceId, prefs) {
+  const $set = {};
+  for (const [key, value] of Object.entries(prefs)) {
+    $set[`notificationPreferences.${key}`] = normalisePreferenceValue(key, value);
+  }
+
+  const device = await Device.findOneAndUpdate(
+    { deviceId },
+    { $set },
+    { new: true, projection: { notificationPreferences: 1 } }
+  ).lean();
+
+  return device ? device.notificationPreferences : null;
+}
+
+async function getWatchPreferences(deviceId, watchId) {
+  const [watch, device] = await Promise.all([
+    Watchlist.findOne({ _id: watchId, deviceId, isActive: true }, { notificationSettings: 1 }).lean(),
+    Device.findOne({ deviceId }, { notificationPreferences: 1 }).lean()
+  ]);
+
+  if (!watch) return null;
+
+  return {
+    settings: watch.notificationSettings || {},
+    effective: resolvePreferences(watch, device)
+  };
+}
+
+/* ==================== CHANNELS ==================== */
+
+function formatChannels(device) {
+  const { fcm = {}, email = {}, sms = {}, webhook = {} } = device.channels || {};
+
+  return {
+    fcm: { enabled: fcm.enabled !== false, disabledReason: fcm.disabledReason || null },
+    email: { enabled: !!email.enabled, address: email.address || null },
+    sms: { enabled: !!sms.enabled, phone: sms.phone || null },
+    // The secret is only ever shown when it is generated
+    webhook: { enabled: !!webhook.enabled, url: webhook.url || null, hasSecret: !!webhook.secret },
+    available: listChannels().filter(c => c.isConfigured()).map(c => c.id)
+  };
+}
+
+async function getDeviceChannels(deviceId) {
+  const device = await Device.findOne({ deviceId })
+    .select('+channels.webhook.secret')
+    .lean();
+  return device ? formatChannels(device) : null;
+}
+
+/**
+ * Partial update of a device's channels. A webhook gets a fresh signing
+ * secret when its URL changes or `rotateSecret` is set; that secret is
+ * returned once as `webhookSecret`.
+ *
+ * Returns { channels, webhookSecret }, { error } or null (no device).
+ */
+async function updateDeviceChannels(deviceId, update) {
+  const device = await Device.findOne({ deviceId }).select('+channels.webhook.secret');
+  if (!device) return null;
+
+  for (const [id, { rotateSecret, ...fields }] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields)) {
+      device.set(`channels.${id}.${key}`, value);
+    }
+  }
+
+  // Push switched on or off by the user is their choice from now on
+  if (update.fcm && update.fcm.enabled !== undefined) {
+    device.set('channels.fcm.disabledReason', null);
+  }
+
+  // Enabling a channel needs somewhere to send to
+  for (const id of Object.keys(update)) {
+    const settings = device.channels[id];
+    if (id !== 'fcm' && settings.enabled && !getChannel(id).targetFor(device)) {
+      return { error: `The ${id} channel needs a destination before it can be enabled` };
+    }
+  }
+
+  const hook = device.channels.webhook;
+  if (hook.url && device.isModified('channels.webhook.url') && !(await resolvesToPublicAddress(hook.url))) {
+    return { error: 'The webhook URL must resolve to a public address' };
+  }
+
+  let webhookSecret = null;
+  if (update.webhook && hook.url &&
+      (!hook.secret || device.isModified('channels.webhook.url') || update.webhook.rotateSecret)) {
+    hook.secret = getChannel('webhook').generateSecret();
+    webhookSecret = hook.secret;
+  }
+
+  await device.save();
+
+  return { channels: formatChannels(device), webhookSecret };
+}
+
+module.exports = {
+  resolvePreferences,
+  isInQuietHours,
+  shouldSendAlert,
+  normalisePreferenceValue,
+  getDevicePreferences,
+  updateDevicePreferences,
+  getWatchPreferences,
+  getDeviceChannels,
+  updateDeviceChannels
+};
@@ -0,0 +1,219 @@
+/**
+ * Decides when each courthouse is scraped next.
+ *
+ * Healthy scrapes adapt to demand: faster while watched cases are at the
+ * front of a queue or the board is changing quickly, slower during recess
+ * (lunch shows as recess on the board) or when nobody watches anything.
+ * Failures back off exponentially with jitter; after BREAKER_THRESHOLD
+ * failures in a row the circuit opens and the site is left alone for
+ * BREAKER_COOLDOWN_MS, then a single trial scrape decides whether it
+ * closes again.
+ *
+ *   SCRAPER_MIN_INTERVAL / SCRAPER_MAX_INTERVAL   bounds for healthy polling
+ *   SCRAPER_BACKOFF_BASE / SCRAPER_BACKOFF_MAX    error backoff
+ *   SCRAPER_BREAKER_THRESHOLD / SCRAPER_BREAKER_COOLDOWN
+ */
+
+const MIN_INTERVAL = parseInt(process.env.SCRAPER_MIN_INTERVAL, 10) || 10000;
+const MAX_INTERVAL = parseInt(process.env.SCRAPER_MAX_INTERVAL, 10) || 2 * 60 * 1000;
+const BACKOFF_BASE_MS = parseInt(process.env.SCRAPER_BACKOFF_BASE, 10) || 15000;
+const BACKOFF_MAX_MS = parseInt(process.env.SCRAPER_BACKOFF_MAX, 10) || 5 * 60 * 1000;
+const BREAKER_THRESHOLD = parseInt(process.env.SCRAPER_BREAKER_THRESHOLD, 10) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.SCRAPER_BREAKER_COOLDOWN, 10) || 10 * 60 * 1000;
+
+const ACTIVITY_WINDOW = 5;         // scrapes averaged for the change rate
+const BUSY_CHANGES_PER_SCRAPE = 3; // changed courts per scrape that count as busy
+const RECESS_SHARE = 0.6;          // share of sitting courts in recess
+const JITTER = 0.1;                // +/- on healthy delays
+const OFF_HOURS_CHECK_MS = 5 * 60 * 1000;
+
+/* ==================== STATE ==================== */
+
+function createPolicy(baseInterval) {
+  return {
+    baseInterval,
+    consecutiveFailures: 0,
+    lastError: null,
+    breaker: { state: 'closed', openedAt: null, retryAt: null },
+    recentChanges: [],
+    signals: null,
+    decision: null
+  };
+}
+
+/**
+ * Board signals from a successful scrape.
+ */
+function recordSuccess(policy, { changedCourts = [], allCourts = [], demand = null }) {
+  policy.consecutiveFailures = 0;
+  policy.lastError = null;
+  policy.breaker = { state: 'closed', openedAt: null, retryAt: null };
+
+  policy.recentChanges.push(changedCourts.length);
+  if (policy.recentChanges.length > ACTIVITY_WINDOW) policy.recentChanges.shift();
+
+  const sitting = allCourts.filter(c => c.caseStatus && c.caseStatus !== 'SITTING_OVER');
+  const inRecess = sitting.filter(c => c.caseStatus === 'RECESS').length;
+
+  policy.signals = {
+    changesPerScrape:
+      policy.recentChanges.reduce((sum, n) => sum + n, 0) / policy.recentChanges.length,
+    sittingCourts: sitting.length,
+    recessShare: sitting.length ? inRecess / sitting.length : 0,
+    watched: demand ? demand.watched : null,
+    nearFront: demand ? demand.nearFront : null
+  };
+}
+
+function recordFailure(policy, err, now = Date.now()) {
+  policy.consecutiveFailures++;
+  policy.lastError = err ? err.message : null;
+
+  // A failed trial, or too many failures in a row, opens the circuit
+  if (policy.breaker.state === 'half_open' || policy.consecutiveFailures >= BREAKER_THRESHOLD) {
+    policy.breaker = {
+      state: 'open',
+      openedAt: new Date(now),
+      retryAt: new Date(now + BREAKER_COOLDOWN_MS)
+    };
+  }
+}
+
+/**
+ * Whether a scrape may run now. Moves an open breaker whose cooldown has
+ * passed to half-open (one trial scrape).
+ */
+function allowScrape(policy, now = Date.now()) {
+  const { breaker } = policy;
+  if (breaker.state !== 'open') return true;
+  if (now < breaker.retryAt.getTime()) return false;
+
+  breaker.state = 'half_open';
+  return true;
+}
+
+/* ==================== DECISION ==================== */
+
+function clamp(ms) {
+  return Math.min(Math.max(Math.round(ms), MIN_INTERVAL), MAX_INTERVAL);
+}
+
+function withJitter(ms, spread = JITTER) {
+  return ms * (1 - spread + Math.random() * 2 * spread);
+}
+
+/**
+ * Exponential backoff with "equal jitter": half fixed, half random.
+ */
+function backoffDelay(failures) {
+  const ceiling = Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Picks the delay before the next scrape and records why.
+ *
+ * `msUntilCourtHours` is 0 while the board is up, otherwise the time until
+ * it next comes up (null when unknown).
+ */
+function decideNextDelay(policy, { msUntilCourtHours = 0, now = Date.now() } = {}) {
+  const { breaker, signals, baseInterval } = policy;
+
+  let decision;
+
+  if (breaker.state === 'open') {
+    decision = {
+      mode: 'circuit_open',
+      delay: Math.max(breaker.retryAt.getTime() - now, 0),
+      reasons: [
+        `${policy.consecutiveFailures} consecutive failures`,
+        `retrying at ${breaker.retryAt.toISOString()}`
+      ]
+    };
+  } else if (policy.consecutiveFailures > 0) {
+    decision = {
+      mode: 'backoff',
+      delay: backoffDelay(policy.consecutiveFailures),
+      reasons: [
+        `${policy.consecutiveFailures} consecutive failure(s): ${policy.lastError}`,
+        `circuit opens after ${BREAKER_THRESHOLD}`
+      ]
+    };
+  } else if (msUntilCourtHours > 0 || msUntilCourtHours === null) {
+    decision = {
+      mode: 'off_hours',
+      delay: Math.min(msUntilCourtHours ?? OFF_HOURS_CHECK_MS, OFF_HOURS_CHECK_MS),
+      reasons: ['court not sitting']
+    };
+  } else if (!signals) {
+    decision = { mode: 'normal', delay: clamp(baseInterval), reasons: ['no scrape yet'] };
+  } else if (signals.nearFront > 0) {
+    decision = {
+      mode: 'fast',
+      delay: clamp(withJitter(MIN_INTERVAL)),
+      reasons: [`${signals.nearFront} watched case(s) at the front of a queue`]
+    };
+  } else if (signals.sittingCourts && signals.recessShare >= RECESS_SHARE) {
+    decision = {
+      mode: 'slow',
+      delay: clamp(withJitter(baseInterval * 3)),
+      reasons: [`${Math.round(signals.recessShare * 100)}% of sitting courts in recess`]
+    };
+  } else if (signals.changesPerScrape >= BUSY_CHANGES_PER_SCRAPE) {
+    decision = {
+      mode: 'busy',
+      delay: clamp(withJitter(baseInterval / 2)),
+      reasons: [`${signals.changesPerScrape.toFixed(1)} courts changing per scrape`]
+    };
+  } else if (signals.watched === 0) {
+    decision = {
+      mode: 'slow',
+      delay: clamp(withJitter(baseInterval * 2)),
+      reasons: ['no active watches']
+    };
+  } else {
+    decision = {
+      mode: 'normal',
+      delay: clamp(withJitter(baseInterval)),
+      reasons: [`${signals.watched} watch(es), none near the front`]
+    };
+  }
+
+  decision.nextScrapeAt = new Date(now + decision.delay);
+  policy.decision = decision;
+  return decision;
+}
+
+/**
+ * Policy snapshot for getScraperStatus.
+ */
+function describePolicy(policy) {
+  return {
+    mode: policy.decision ? policy.decision.mode : null,
+    delay: policy.decision ? policy.decision.delay : null,
+    nextScrapeAt: policy.decision ? policy.decision.nextScrapeAt : null,
+    reasons: policy.decision ? policy.decision.reasons : [],
+    signals: policy.signals,
+    consecutiveFailures: policy.consecutiveFailures,
+    lastError: policy.lastError,
+    breaker: policy.breaker,
+    bounds: {
+      baseInterval: policy.baseInterval,
+      minInterval: MIN_INTERVAL,
+      maxInterval: MAX_INTERVAL,
+      backoffBase: BACKOFF_BASE_MS,
+      backoffMax: BACKOFF_MAX_MS,
+      breakerThreshold: BREAKER_THRESHOLD,
+      breakerCooldown: BREAKER_COOLDOWN_MS
+    }
+  };
+}
+
+module.exports = {
+  createPolicy,
+  recordSuccess,
+  recordFailure,
+  allowScrape,
+  decideNextDelay,
+  describePolicy
+};
@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { Hearing, CaseHistory } = require('../models');
+const { hearingDateFor } = require('../utils/hearing');
+
+/**
+ * Rebuilds hearings from the board.
+ *
+ * Every scrape, each court is compared with the hearing open on it:
+ *
+ *   IN_SESSION, same case      still heard (ends a recess pause)
+ *   IN_SESSION, another case   closes the hearing ('next_case'), opens one
+ *   RECESS, same or no case    pauses the hearing; the pause isn't counted
+ *   SITTING_OVER               closes it ('sitting_over')
+ *   anything else              closes it ('off_board')
+ *
+ * A court not seen for SESSION_GAP_MS (scraper down, site unreachable)
+ * closes its hearing at the last scrape that saw it ('gap'), unless the
+ * same case is still up afterwards, in which case the unseen stretch is
+ * left out of the duration like a recess. Either way an outage never
+ * inflates a duration. A hearing closed during a recess ends when the
+ * recess began.
+ *
+ * Open hearings are Hearing documents with endedAt null, so they survive
+ * restarts and leader changes. Closing one fills the session fields of
+ * its opening CaseHistory event; the caller adds it to CaseStatistics.
+ */
+
+const SESSION_GAP_MS = parseInt(process.env.SESSION_GAP_MS, 10) || 15 * 60 * 1000;
+
+// CaseHistory only records changes, so replays treat only a longer
+// silence (overnight) as a gap
+const HISTORY_GAP_MS = 3 * 60 * 60 * 1000;
+
+// courthouse|courtNumber -> open hearing (mirrors its Hearing document)
+const openSessions = new Map();
+
+/* ==================== TRANSITIONS ==================== */
+
+function sessionKey(courthouse, courtNumber) {
+  return `${courthouse}|${courtNumber}`;
+}
+
+function openSession(courthouse, court, at) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    caseNumber: court.caseNumber,
+    courthouse,
+    courtNumber: court.courtNumber,
+    judgeName: court.judgeName || null,
+    benchType: court.benchType || null,
+    position: court.queuePosition ?? null,
+    hearingDate: hearingDateFor(at),
+    startedAt: at,
+    lastSeenAt: at,
+    recessStartedAt: null,
+    recesses: 0,
+    pausedSeconds: 0
+  };
+}
+
+function closeSession(session, end, endReason) {
+  const endedAt = session.recessStartedAt && session.recessStartedAt < end
+    ? session.recessStartedAt
+    : end;
+
+  const duration = Math.max(
+    Math.round((endedAt - session.startedAt) / 1000 - session.pausedSeconds),
+    0
+  );
+
+  return { ...session, endedAt, duration, endReason };
+}
+
+/**
+ * Applies one board to the open hearings of a courthouse. Returns the
+ * hearings opened, changed (recess start/end) and closed.
+ */
+function applyBoard(courthouse, courts, at, { sessions = openSessions, gapMs = SESSION_GAP_MS } = {}) {
+  const opened = [];
+  const changed = [];
+  const closed = [];
+  const seen = new Set();
+
+  for (const court of courts) {
+    if (!court.courtNumber) continue;
+
+    const key = sessionKey(courthouse, court.courtNumber);
+    seen.add(key);
+
+    let session = sessions.get(key) || null;
+    const { caseNumber, caseStatus } = court;
+
+    if (session && at - session.lastSeenAt > gapMs) {
+      const resumed = caseNumber === session.caseNumber &&
+        (caseStatus === 'IN_SESSION' || caseStatus === 'RECESS');
+
+      if (resumed && !session.recessStartedAt) {
+        session.pausedSeconds += (at - session.lastSeenAt) / 1000;
+        changed.push(session);
+      } else if (!resumed) {
+        closed.push(closeSession(session, session.lastSeenAt, 'gap'));
+        session = null;
+      }
+    }
+
+    if (caseStatus === 'IN_SESSION' && caseNumber) {
+      if (session && session.caseNumber === caseNumber) {
+        if (session.recessStartedAt) {
+          session.pausedSeconds += (at - session.recessStartedAt) / 1000;
+          session.recessStartedAt = null;
+          changed.push(session);
+        }
+      } else {
+        if (session) closed.push(closeSession(session, at, 'next_case'));
+        session = openSession(courthouse, court, at);
+        opened.push(session);
+      }
+    } else if (session && caseStatus === 'RECESS' && (!caseNumber || caseNumber === session.caseNumber)) {
+      if (!session.recessStartedAt) {
+        session.recessStartedAt = at;
+        session.recesses++;
+        changed.push(session);
+      }
+    } else if (session) {
+      const reason = caseStatus === 'SITTING_OVER'
+        ? 'sitting_over'
+        : caseStatus === 'RECESS' ? 'next_case' : 'off_board';
+      closed.push(closeSession(session, at, reason));
+      session = null;
+    }
+
+    if (session) {
+      session.lastSeenAt = at;
+      sessions.set(key, session);
+    } else {
+      sessions.delete(key);
+    }
+  }
+
+  // Courts that dropped off the board entirely
+  for (const [key, session] of sessions) {
+    if (session.courthouse !== courthouse || seen.has(key)) continue;
+    if (at - session.lastSeenAt > gapMs) {
+      closed.push(closeSession(session, session.lastSeenAt, 'gap'));
+      sessions.delete(key);
+    }
+  }
+
+  return { opened, changed, closed };
+}
+
+/**
+ * Hearings of one court replayed from its CaseHistory events (sorted by
+ * scrapedAt), for backfills. A hearing ended by a gap has no known end
+ * and is left out, as is the one still open after the last event.
+ */
+function hearingsFromHistory(courthouse, events) {
+  const sessions = new Map();
+  const hearings = [];
+
+  for (const e of events) {
+    const at = new Date(e.scrapedAt);
+    const key = sessionKey(courthouse, e.courtNumber);
+    const open = sessions.get(key);
+
+    // A hearing never runs into the next day
+    if (open && open.hearingDate !== hearingDateFor(at)) sessions.delete(key);
+
+    const court = {
+      courtNumber: e.courtNumber,
+      caseNumber: e.caseNumber,
+      caseStatus: e.status,
+      judgeName: e.judgeName,
+      benchType: e.benchType,
+      queuePosition: e.position
+    };
+
+    const { closed } = applyBoard(courthouse, [court], at, { sessions, gapMs: HISTORY_GAP_MS });
+    hearings.push(...closed.filter(h => h.endReason !== 'gap'));
+  }
+
+  return hearings;
+}
+
+/* ==================== PERSISTENCE ==================== */
+
+function recessFields(session) {
+  return {
+    recessStartedAt: session.recessStartedAt,
+    recesses: session.recesses,
+    pausedSeconds: Math.round(session.pausedSeconds)
+  };
+}
+
+async function saveHearings(courthouse, { opened, changed, closed }, at) {
+  const ops = [
+    ...opened.map(session => ({ insertOne: { document: session } })),
+    ...changed.map(session => ({
+      updateOne: { filter: { _id: session._id }, update: { $set: recessFields(session) } }
+    })),
+    ...closed.map(session => ({
+      updateOne: {
+        filter: { _id: session._id },
+        update: {
+          $set: {
+            ...recessFields(session),
+            recessStartedAt: null,
+            lastSeenAt: session.lastSeenAt,
+            endedAt: session.endedAt,
+            duration: session.duration,
+            endReason: session.endReason
+          }
+        }
+      }
+    }))
+  ];
+
+  const openIds = Array.from(openSessions.values())
+    .filter(s => s.courthouse === courthouse)
+    .map(s => s._id);
+  if (openIds.length && at) {
+    ops.push({
+      updateMany: { filter: { _id: { $in: openIds } }, update: { $set: { lastSeenAt: at } } }
+    });
+  }
+
+  if (ops.length) await Hearing.bulkWrite(ops, { ordered: true });
+}
+
+/**
+ * Session fields on each hearing's opening IN_SESSION event.
+ */
+async function rollUpHearings(closed) {
+  if (!closed.length) return;
+
+  await CaseHistory.bulkWrite(
+    closed.map(h => ({
+      updateOne: {
+        filter: {
+          caseNumber: h.caseNumber,
+          courthouse: h.courthouse,
+          courtNumber: h.courtNumber,
+          status: 'IN_SESSION',
+          scrapedAt: h.startedAt
+        },
+        update: {
+          $set: {
+            sessionStartTime: h.startedAt,
+            sessionEndTime: h.endedAt,
+            duration: h.duration
+          }
+        }
+      }
+    })),
+    { ordered: false }
+  );
+}
+
+/* ==================== PIPELINE ==================== */
+
+/**
+ * Feeds one scrape (the whole board) into the session builder.
+ */
+async function trackSessions(courthouse, courts, scrapedAt) {
+  const at = new Date(scrapedAt);
+  const result = applyBoard(courthouse, courts, at);
+
+  await saveHearings(courthouse, result, at);
+  await rollUpHearings(result.closed);
+
+  if (result.closed.length) {
+    logger.info(`Hearings closed (${courthouse}): ${result.closed.length}`);
+  }
+  return result;
+}
+
+/**
+ * Reloads hearings still open for a courthouse, e.g. after a restart.
+ * Returns the duplicates it had to close.
+ */
+async function restoreSessions(courthouse) {
+  const docs = await Hearing.find({ courthouse, endedAt: null })
+    .sort({ startedAt: 1 })
+    .lean();
+
+  for (const [key, session] of openSessions) {
+    if (session.courthouse === courthouse) openSessions.delete(key);
+  }
+
+  // Two open hearings on one court (overlapping leaders): keep the latest
+  const superseded = [];
+
+  for (const doc of docs) {
+    const key = sessionKey(courthouse, doc.courtNumber);
+    if (openSessions.has(key)) {
+      const previous = openSessions.get(key);
+      superseded.push(closeSession(previous, previous.lastSeenAt, 'gap'));
+    }
+
+    openSessions.set(key, {
+      _id: doc._id,
+      caseNumber: doc.caseNumber,
+      courthouse,
+      courtNumber: doc.courtNumber,
+      judgeName: doc.judgeName || null,
+      benchType: doc.benchType || null,
+      position: doc.position ?? null,
+      hearingDate: doc.hearingDate,
+      startedAt: new Date(doc.startedAt),
+      lastSeenAt: new Date(doc.lastSeenAt || doc.startedAt),
+      recessStartedAt: doc.recessStartedAt ? new Date(doc.recessStartedAt) : null,
+      recesses: doc.recesses || 0,
+      pausedSeconds: doc.pausedSeconds || 0
+    });
+  }
+
+  if (superseded.length) {
+    await saveHearings(courthouse, { opened: [], changed: [], closed: superseded }, null);
+    await rollUpHearings(superseded);
+  }
+  return superseded;
+}
+
+module.exports = {
+  applyBoard,
+  hearingsFromHistory,
+  trackSessions,
+  restoreSessions
+};
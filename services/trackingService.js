@@ -1,6 +1,13 @@
-const { Watchlist, CaseHistory, CaseStatistics, Device } = require('../models');
-const { sendCaseAlert } = require('./fcmService');
+const { Watchlist, CaseHistory, Device } = require('../models');
+const { sendCaseAlert } = require('./notificationDeliveryService');
+const { getListingsForCases } = require('./causeListService');
 const logger = require('../config/logger');
+const { canonicalCaseNumber, isSameCase } = require('../utils/caseNumber');
+const { DEFAULT_COURTHOUSE } = require('./courthouses');
+const { hearingDateFor } = require('../utils/hearing');
+const { isWatchPaused } = require('./watchlistService');
+const { resolvePreferences, shouldSendAlert } = require('./notificationPreferenceService');
+const { emitWatchState, emitBoardChanges, restoreWatchState } = require('./caseEventService');
 
 const COOLDOWN_MS = 5 * 60 * 1000; // 5 minutes
 const lastCourtState = new Map();
@@ -18,120 +25,277 @@ function cooldownPassed(lastTime) {
 function buildHistoryEvent(court, scrapedAt) {
   return {
     caseNumber: court.caseNumber,
-    courthouse: 'Gujarat High Court',
+    courthouse: court.courthouse || DEFAULT_COURTHOUSE,
     courtNumber: court.courtNumber,
     judgeName: court.judgeName,
     benchType: court.benchType,
     status: court.caseStatus,
+    position: court.queuePosition,
+    gsrno: court.srNo,
     streamUrl: court.streamUrl,
     isLive: court.isLive,
     scrapedAt: new Date(scrapedAt)
   };
 }
 
+/* ==================== PROXIMITY ==================== */
+
+const NEAR_THRESHOLD = parseInt(process.env.PROXIMITY_NEAR, 10) || 10;
+const VERY_NEAR_THRESHOLD = parseInt(process.env.PROXIMITY_VERY_NEAR, 10) || 3;
+
+const STATUS_RANK = { FAR: 1, NEAR: 2, VERY_NEAR: 3, NEXT: 4, LIVE: 5, COMPLETED: 6 };
+
+/**
+ * Maps the distance between the watched serial number and the serial
+ * currently running in that court onto a Watchlist.lastSeenStatus value.
+ * `leadItems` (a per-watch lead time) replaces the NEAR threshold.
+ */
+function resolveProximityStatus(position, currentPosition, leadItems = null) {
+  if (position == null || currentPosition == null) return null;
+
+  const near = leadItems || NEAR_THRESHOLD;
+  const veryNear = Math.min(VERY_NEAR_THRESHOLD, near);
+
+  const casesAhead = position - currentPosition;
+  if (casesAhead < 0) return 'COMPLETED';
+  if (casesAhead === 0) return 'LIVE';
+  if (casesAhead === 1) return 'NEXT';
+  if (casesAhead <= veryNear) return 'VERY_NEAR';
+  if (casesAhead <= near) return 'NEAR';
+  return 'FAR';
+}
+
+/**
+ * Alert to send when moving from `prev` to `next`, or null.
+ * Only escalations alert; jumping straight past NEAR skips the early warning.
+ */
+function proximityAlertFor(prev, next) {
+  if (next === 'NEAR') return 'early_warning';
+  if ((next === 'VERY_NEAR' || next === 'NEXT') &&
+      prev !== 'VERY_NEAR' && prev !== 'NEXT') return 'approaching';
+  return null;
+}
+
+async function saveIfModified(doc) {
+  if (doc.isModified()) await doc.save();
+}
+
+// Same hearing day in court time, whatever the server's timezone
+function isSameDay(a, b) {
+  return !!(a && b) && hearingDateFor(a) === hearingDateFor(b);
+}
+
 /* ==================== MAIN ENTRY ==================== */
 
-async function processCaseUpdates({ courts, scrapedAt }) {
+async function processCaseUpdates({ courthouse = DEFAULT_COURTHOUSE, courts, allCourts, scrapedAt }) {
   await processGlobalCaseHistory(courts, scrapedAt);
-  await updateCaseStatistics(courts);
 
-  const watchlists = await Watchlist.find({ isActive: true });
+  // A board only says anything about watches on the same courthouse
+  const watchlists = await Watchlist.find({ isActive: true, courthouse });
+  const watchedCases = new Set(watchlists.map(w => canonicalCaseNumber(w.caseNumber)));
+
+  emitBoardChanges(courthouse, courts, watchedCases, scrapedAt);
   if (!watchlists.length) return;
 
   const devices = await Device.find({ isActive: true });
   const deviceMap = Object.fromEntries(devices.map(d => [d.deviceId, d]));
 
+  // Proximity needs the whole board, not just the courts that changed
+  const board = allCourts || courts;
+
+  const listings = await getListingsForCases([...watchedCases], scrapedAt, courthouse);
+
   for (const watch of watchlists) {
     try {
-      await processWatchlist(watch, courts, deviceMap, scrapedAt);
+      const listing = listings[canonicalCaseNumber(watch.caseNumber)];
+      await processWatchlist(watch, board, deviceMap, scrapedAt, listing);
+      emitWatchState(watch, board, scrapedAt, listing);
     } catch (e) {
       logger.error(`Watchlist ${watch._id} failed`, e);
     }
   }
 }
 
+/**
+ * After a restart: seeds the events last emitted for the courthouse's
+ * watches from their persisted state, so the first scrape only reports
+ * real changes. `courts` is the restored board.
+ */
+async function restoreWatchlists(courthouse, courts, at = new Date()) {
+  const watchlists = await Watchlist.find({ isActive: true, courthouse }).lean();
+  if (!watchlists.length) return;
+
+  const caseNumbers = [...new Set(watchlists.map(w => canonicalCaseNumber(w.caseNumber)))];
+  const listings = await getListingsForCases(caseNumbers, at, courthouse);
+
+  restoreWatchState(courthouse, watchlists, courts, listings, at);
+}
+
 /* ==================== WATCHLIST PROCESSOR ==================== */
 
-async function processWatchlist(watch, courts, deviceMap, scrapedAt) {
+async function processWatchlist(watch, courts, deviceMap, scrapedAt, listing) {
   const {
     caseNumber,
     deviceId,
-    notificationSettings,
-    lastSeenStatus,
     missCount = 0,
     lastNotificationTime
   } = watch;
 
   const device = deviceMap[deviceId];
-  if (!device || !device.fcmToken) return;
+  if (!device) return;
+
+  // State is per hearing day; yesterday's COMPLETED must not mute today
+  const lastSeenStatus = isSameDay(watch.lastStatusAt, scrapedAt)
+    ? watch.lastSeenStatus
+    : null;
+
+  // A court and serial only hold for the day they were seen or entered
+  if ((watch.lastSeenCourt || watch.lastSeenPosition != null) &&
+      !isSameDay(watch.lastPositionAt, scrapedAt)) {
+    watch.lastSeenCourt = null;
+    watch.lastSeenPosition = null;
+    watch.lastPositionAt = null;
+  }
+
+  const prefs = resolvePreferences(watch, device);
+
+  // Suppressed alerts still advance tracking state, so nothing is replayed
+  // once a pause or quiet window ends
+  const notify = async (alertType, details) => {
+    if (isWatchPaused(watch, new Date(scrapedAt))) return;
+
+    const { send, reason } = shouldSendAlert(alertType, prefs, {
+      courtNumber: details.courtNumber,
+      at: new Date(scrapedAt)
+    });
+    if (!send) {
+      logger.debug(`Skipped ${alertType} for ${caseNumber} (${deviceId}): ${reason}`);
+      return;
+    }
+
+    await sendCaseAlert(device, caseNumber, alertType, details, scrapedAt);
+    watch.lastNotificationTime = new Date();
+  };
+
+  const setStatus = (status) => {
+    if (watch.lastSeenStatus !== status || !isSameDay(watch.lastStatusAt, scrapedAt)) {
+      watch.lastStatusAt = new Date(scrapedAt);
+    }
+    watch.lastSeenStatus = status;
+  };
+
+  const setPosition = (courtNumber, position) => {
+    watch.lastSeenCourt = courtNumber;
+    watch.lastSeenPosition = position;
+    watch.lastPositionAt = new Date(scrapedAt);
+  };
+
+  // Today's cause list says where the case waits before it is ever called
+  if (listing && lastSeenStatus !== 'LIVE') {
+    setPosition(listing.courtNumber, listing.position);
+  }
+
+  const live = courts.find(c => isSameCase(c.caseNumber, caseNumber));
+
+  /* ---------- CASE ON THE BOARD ---------- */
+  if (live) {
+    watch.missCount = 0;
+    setPosition(live.courtNumber, live.queuePosition);
+
+    if (live.caseStatus === 'IN_SESSION' && lastSeenStatus !== 'LIVE') {
+      await notify('in_session', {
+        courtNumber: live.courtNumber,
+        judgeName: live.judgeName,
+        streamUrl: live.streamUrl,
+        position: live.queuePosition
+      });
+      setStatus('LIVE');
+    }
 
-  const court = courts.find(c => c.caseNumber === caseNumber);
+    await watch.save();
+    return;
+  }
 
-  /* ---------- CASE NOT FOUND → POSSIBLE COMPLETED ---------- */
-  if (!court) {
+  /* ---------- CASE LEFT THE BOARD AFTER BEING HEARD ---------- */
+  if (lastSeenStatus === 'LIVE') {
     watch.missCount = missCount + 1;
 
-    if (
-      watch.missCount >= 2 &&
-      lastSeenStatus !== 'COMPLETED' &&
-      notificationSettings.completed &&
-      cooldownPassed(lastNotificationTime)
-    ) {
-      await sendCaseAlert(
-        deviceId,
-        device.fcmToken,
-        caseNumber,
-        'completed',
-        {}
-      );
-
-      watch.lastSeenStatus = 'COMPLETED';
-      watch.lastNotificationTime = new Date();
+    if (watch.missCount >= 2 && cooldownPassed(lastNotificationTime)) {
+      await notify('completed', { courtNumber: watch.lastSeenCourt });
+      setStatus('COMPLETED');
     }
 
     await watch.save();
     return;
   }
 
-  /* ---------- CASE FOUND ---------- */
-  watch.missCount = 0;
-
-  /* ---------- IN SESSION DETECTION ---------- */
-  if (
-    court.caseStatus === 'IN_SESSION' &&
-    lastSeenStatus !== 'IN_SESSION' &&
-    notificationSettings.inSession &&
-    cooldownPassed(lastNotificationTime)
-  ) {
-    await sendCaseAlert(
-      deviceId,
-      device.fcmToken,
-      caseNumber,
-      'in_session',
-      {
-        courtNumber: court.courtNumber,
-        judgeName: court.judgeName,
-        streamUrl: court.streamUrl
-      }
-    );
-
-    watch.lastSeenStatus = 'IN_SESSION';
-    watch.lastNotificationTime = new Date();
+  /* ---------- QUEUED: COMPARE WITH RUNNING SERIAL ---------- */
+  if (lastSeenStatus === 'COMPLETED' || !watch.lastSeenCourt || watch.lastSeenPosition == null) {
+    return saveIfModified(watch);
+  }
+
+  const court = courts.find(
+    c => c.courtNumber === watch.lastSeenCourt && c.queuePosition != null
+  );
+  if (!court || court.caseStatus === 'SITTING_OVER') return saveIfModified(watch);
+
+  const next = resolveProximityStatus(watch.lastSeenPosition, court.queuePosition, prefs.leadItems);
+  if (!next || (lastSeenStatus && STATUS_RANK[next] <= STATUS_RANK[lastSeenStatus])) {
+    return saveIfModified(watch);
   }
 
-  watch.lastSeenCourt = court.courtNumber;
+  // The running serial reached or passed us without the case showing up live
+  if (next === 'LIVE' || next === 'COMPLETED') {
+    if (next === 'COMPLETED') {
+      logger.info(`Case ${caseNumber} passed in Court ${court.courtNumber} without being seen live`);
+      setStatus('COMPLETED');
+    }
+    return saveIfModified(watch);
+  }
+
+  const alertType = proximityAlertFor(lastSeenStatus, next);
+  if (alertType) {
+    await notify(alertType, {
+      courtNumber: court.courtNumber,
+      judgeName: court.judgeName,
+      streamUrl: court.streamUrl,
+      position: watch.lastSeenPosition,
+      currentPosition: court.queuePosition,
+      casesAhead: watch.lastSeenPosition - court.queuePosition
+    });
+  }
+
+  setStatus(next);
   await watch.save();
 }
 
 /* ==================== GLOBAL CASE HISTORY ==================== */
 
+function courtStateKey(court) {
+  return `${court.courthouse || DEFAULT_COURTHOUSE}|${court.courtNumber}`;
+}
+
+/**
+ * Seeds the last known case per court from persisted boards, so a restart
+ * doesn't write a fresh history row for every court.
+ */
+function restoreCourtState(courts) {
+  for (const court of courts) {
+    if (!court.caseNumber) continue;
+    lastCourtState.set(courtStateKey(court), {
+      caseNumber: court.caseNumber,
+      status: court.caseStatus
+    });
+  }
+}
+
 async function processGlobalCaseHistory(courts, scrapedAt) {
   const historyEvents = [];
 
   for (const court of courts) {
     if (!court.caseNumber) continue;
 
-    const key = court.courtNumber;
+    const key = courtStateKey(court);
     const prev = lastCourtState.get(key);
 
     const current = {
@@ -161,37 +325,9 @@ async function processGlobalCaseHistory(courts, scrapedAt) {
   }
 }
 
-/* ==================== STATISTICS ==================== */
-
-async function updateCaseStatistics(courts) {
-  for (const c of courts) {
-    if (!c.caseNumber) continue;
-
-    await CaseStatistics.findOneAndUpdate(
-      { caseNumber: c.caseNumber },
-      {
-        $set: { lastSeen: new Date() },
-        $inc: { totalAppearances: 1 },
-        $addToSet: {
-          courts: c.courtNumber,
-          judges: c.judgeName
-        },
-        $push: {
-          statusHistory: {
-            $each: [{
-              status: c.caseStatus,
-              timestamp: new Date(),
-              courtNumber: c.courtNumber
-            }],
-            $slice: -100
-          }
-        }
-      },
-      { upsert: true }
-    );
-  }
-}
-
 module.exports = {
-  processCaseUpdates
+  processCaseUpdates,
+  resolveProximityStatus,
+  restoreCourtState,
+  restoreWatchlists
 };
@@ -0,0 +1,234 @@
+const { Watchlist, CaseStatistics } = require('../models');
+const { canonicalCaseNumber, parseCaseNumber } = require('../utils/caseNumber');
+const { DEFAULT_COURTHOUSE } = require('./courthouses');
+const { courtDate, dayRange } = require('./courtCalendarService');
+
+const { normalisePreferenceValue } = require('./notificationPreferenceService');
+
+const NOTIFICATION_SETTING_KEYS = [
+  'earlyWarning', 'approaching', 'inSession', 'completed',
+  'leadItems', 'quietHours', 'courts'
+];
+
+/* ==================== HELPERS ==================== */
+
+const isDuplicateKey = (err) => err && err.code === 11000;
+
+function adjustWatchCount(caseNumber, delta) {
+  return CaseStatistics.updateOne(
+    { caseNumber, ...(delta < 0 && { watchCount: { $gt: 0 } }) },
+    { $inc: { watchCount: delta } },
+    { upsert: delta > 0 }
+  );
+}
+
+function settingsUpdate(notificationSettings = {}) {
+  const $set = {};
+  for (const key of NOTIFICATION_SETTING_KEYS) {
+    if (notificationSettings[key] !== undefined) {
+      $set[`notificationSettings.${key}`] = normalisePreferenceValue(key, notificationSettings[key]);
+    }
+  }
+  return $set;
+}
+
+/* ==================== ADD ==================== */
+
+/**
+ * Watches a case at a courthouse for a device. A previously removed watch
+ * is reactivated with fresh tracking state rather than duplicated; a
+ * concurrent add of the same case reports 'exists'.
+ *
+ * Returns { status: 'added' | 'reactivated' | 'exists', watch }.
+ */
+async function addWatch(deviceId, {
+  caseNumber: rawCaseNumber,
+  courthouse = DEFAULT_COURTHOUSE,
+  nickname = null,
+  notificationSettings,
+  courtNumber,
+  position
+}) {
+  const caseNumber = canonicalCaseNumber(rawCaseNumber);
+
+  const existing = await Watchlist.findOne({ deviceId, courthouse, caseNumber });
+  if (existing && existing.isActive) {
+    return { status: 'exists', watch: existing };
+  }
+
+  const fields = {
+    caseNumberRaw: rawCaseNumber,
+    courthouse,
+    nickname,
+    // Known listing (court + serial) lets proximity alerts fire before the call
+    lastSeenCourt: courtNumber || null,
+    lastSeenPosition: position != null ? Number(position) : null,
+    lastPositionAt: courtNumber || position != null ? new Date() : null
+  };
+
+  let watch;
+  let status;
+
+  if (existing) {
+    existing.set({
+      ...fields,
+      isActive: true,
+      removedAt: null,
+      isPaused: false,
+      pausedUntil: null,
+      lastSeenStatus: null,
+      lastStatusAt: null,
+      missCount: 0,
+      addedAt: new Date()
+    });
+    if (notificationSettings) existing.set(settingsUpdate(notificationSettings));
+    watch = await existing.save();
+    status = 'reactivated';
+  } else {
+    try {
+      watch = await Watchlist.create({ deviceId, caseNumber, notificationSettings, ...fields });
+    } catch (err) {
+      if (!isDuplicateKey(err)) throw err;
+      return { status: 'exists', watch: await Watchlist.findOne({ deviceId, courthouse, caseNumber }) };
+    }
+    status = 'added';
+  }
+
+  await adjustWatchCount(caseNumber, 1);
+
+  return { status, watch };
+}
+
+/**
+ * Adds many cases at once. `cases` entries are case-number strings or
+ * objects accepted by addWatch(). Entries that do not parse as a case
+ * number are reported back instead of being watched.
+ */
+async function bulkAddWatches(deviceId, cases, defaults = {}) {
+  const results = { added: [], reactivated: [], existing: [], invalid: [] };
+  const seen = new Set();
+
+  for (const entry of cases) {
+    const input = typeof entry === 'string' ? { caseNumber: entry } : entry;
+    const parsed = parseCaseNumber(input.caseNumber);
+
+    if (!parsed) {
+      results.invalid.push(input.caseNumber);
+      continue;
+    }
+    const key = `${input.courthouse || defaults.courthouse || DEFAULT_COURTHOUSE}|${parsed.canonical}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const { status, watch } = await addWatch(deviceId, { ...defaults, ...input });
+    const bucket = status === 'exists' ? 'existing' : status;
+    results[bucket].push(watch);
+  }
+
+  return results;
+}
+
+/**
+ * Splits a pasted list (one case per line, or comma/semicolon separated).
+ */
+function splitCaseList(text) {
+  return String(text || '')
+    .split(/[\n,;]+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/* ==================== UPDATE ==================== */
+
+async function updateWatch(deviceId, watchId, { nickname, notificationSettings, courtNumber, position }) {
+  const $set = settingsUpdate(notificationSettings);
+
+  if (nickname !== undefined) $set.nickname = nickname;
+  if (courtNumber !== undefined) $set.lastSeenCourt = courtNumber;
+  if (position !== undefined) $set.lastSeenPosition = position;
+  if (courtNumber !== undefined || position !== undefined) $set.lastPositionAt = new Date();
+
+  return Watchlist.findOneAndUpdate(
+    { _id: watchId, deviceId, isActive: true },
+    { $set },
+    { new: true }
+  );
+}
+
+/**
+ * Mutes alerts until `until` (null = until resumed). Tracking continues.
+ */
+async function setPaused(deviceId, watchId, paused, until = null) {
+  return Watchlist.findOneAndUpdate(
+    { _id: watchId, deviceId, isActive: true },
+    {
+      $set: {
+        isPaused: paused,
+        pausedUntil: paused ? until : null
+      }
+    },
+    { new: true }
+  );
+}
+
+/* ==================== REMOVE ==================== */
+
+async function removeWatch(deviceId, watchId) {
+  const watch = await Watchlist.findOneAndUpdate(
+    { _id: watchId, deviceId, isActive: true },
+    { $set: { isActive: false, removedAt: new Date() } },
+    { new: true }
+  );
+
+  if (watch) await adjustWatchCount(watch.caseNumber, -1);
+
+  return watch;
+}
+
+/**
+ * True while alerts for this watch are muted.
+ */
+function isWatchPaused(watch, at = new Date()) {
+  if (!watch.isPaused) return false;
+  return !watch.pausedUntil || new Date(watch.pausedUntil) > at;
+}
+
+/* ==================== DEMAND ==================== */
+
+// Statuses where the next board change is likely to matter to the watcher
+const NEAR_FRONT_STATUSES = ['VERY_NEAR', 'NEXT', 'LIVE'];
+
+/**
+ * { watched, nearFront }: active watches on a courthouse, and how many of
+ * them are at or close to the front of their queue. A status is never
+ * cleared, so only one set on the current court day counts; paused
+ * watches cannot alert and never count as near the front.
+ */
+async function getWatchDemand(courthouse = DEFAULT_COURTHOUSE, at = new Date()) {
+  const { start } = dayRange(courthouse, courtDate(courthouse, at));
+
+  const watches = await Watchlist.find(
+    { isActive: true, courthouse },
+    { lastSeenStatus: 1, lastStatusAt: 1, isPaused: 1, pausedUntil: 1 }
+  ).lean();
+
+  const nearFront = watches.filter(w =>
+    NEAR_FRONT_STATUSES.includes(w.lastSeenStatus) &&
+    w.lastStatusAt && new Date(w.lastStatusAt) >= start &&
+    !isWatchPaused(w, at)
+  ).length;
+
+  return { watched: watches.length, nearFront };
+}
+
+module.exports = {
+  adjustWatchCount,
+  addWatch,
+  bulkAddWatches,
+  splitCaseList,
+  updateWatch,
+  setPaused,
+  removeWatch,
+  isWatchPaused,
+  getWatchDemand
+};
@@ -1,9 +1,192 @@
 const socketIO = require('socket.io');
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
 const logger = require('../config/logger');
+const crypto = require('crypto');
 const { Watchlist } = require('../models');
+const { getAllCurrentCourts } = require('./currentCourtService');
+const { canonicalCaseNumber } = require('../utils/caseNumber');
+const { authenticateSocket } = require('../middleware/deviceAuth');
+const { formatDetails } = require('../middleware/validate');
+const { socket: socketSchemas } = require('../validation/schemas');
 
 let io;
 
+/**
+ * Server -> client events. Every payload carries `version` (bump it on any
+ * breaking change) and `timestamp` (emit time, ISO).
+ *
+ * court_update   (everyone)
+ *   { version, type: 'COURT_DELTA', courthouse, scrapedAt, summary, courts }
+ *   `courts` holds only the courts that changed in that scrape.
+ *
+ * case_update    (room `case_<caseNumber>`, via subscribe_case)
+ * watchlist_update (room `device_<deviceId>`, via subscribe)
+ *   {
+ *     version, type: 'CASE_STATE', caseNumber, courthouse, scrapedAt,
+ *     changes:  subset of ['status', 'court', 'position', 'proximity'],
+ *     state:    { status, caseStatus, courtNumber, position,
+ *                 currentPosition, casesAhead },
+ *     previous: same shape as `state`, or null the first time
+ *   }
+ *   status      FAR | NEAR | VERY_NEAR | NEXT | LIVE | COMPLETED | null
+ *   caseStatus  board status while the case is on it (IN_SESSION, RECESS,
+ *               ...), OFF_BOARD once replaced, else null
+ *   position    the case's serial; currentPosition the serial running in
+ *               that court; casesAhead the difference while queued
+ *   watchlist_update also carries watchId and nickname. case_update is
+ *   built from the board and today's cause list only; a watch's own court
+ *   and serial never reach the case room.
+ *
+ * All three also carry `seq` (monotonic across every event this process
+ * emits) and `epoch` (changes on restart). After reconnecting, a client
+ * re-sends subscribe / subscribe_case and then
+ *
+ *   resume { lastSeq, epoch }
+ *
+ * and gets either the events it missed, re-emitted in order, or - when
+ * they are no longer buffered or the server restarted -
+ *
+ *   snapshot { version, seq, epoch, timestamp, checkedAt, courts }
+ *
+ * followed by resumed { mode: 'replay' | 'snapshot', seq, epoch, count }.
+ *
+ * With SOCKET_ADAPTER=mongo (needs a replica set) events fan out to every
+ * instance through the socket.io Mongo adapter, and the emitting instance
+ * shares each buffered event so seq/epoch and replay work on whichever
+ * instance a client reconnects to.
+ */
+const EVENT_SCHEMA_VERSION = 1;
+
+const REPLAY_BUFFER_SIZE = parseInt(process.env.SOCKET_REPLAY_BUFFER, 10) || 500;
+
+const ADAPTER_COLLECTION = 'socket_io_events';
+const ADAPTER_TTL_SECONDS = 3600;
+
+let epoch = crypto.randomBytes(6).toString('hex');
+let sequence = 0;
+let clustered = false;
+
+// Last REPLAY_BUFFER_SIZE events: { seq, room, event, payload }
+const replayBuffer = [];
+
+function bufferEvent(entry) {
+  replayBuffer.push(entry);
+  if (replayBuffer.length > REPLAY_BUFFER_SIZE) replayBuffer.shift();
+}
+
+/**
+ * Stamps seq/epoch, buffers the event for replay and emits it.
+ * `room` null means everyone.
+ */
+function emitEvent(room, event, data) {
+  const payload = {
+    version: EVENT_SCHEMA_VERSION,
+    seq: ++sequence,
+    epoch,
+    timestamp: new Date().toISOString(),
+    ...data
+  };
+
+  const entry = { seq: payload.seq, room, event, payload };
+  bufferEvent(entry);
+
+  (room ? io.to(room) : io).emit(event, payload);
+  if (clustered) io.serverSideEmit('replay_event', entry);
+}
+
+/**
+ * An event emitted by another instance (the scraping leader). Its seq and
+ * epoch become ours so a later failover continues the same stream.
+ */
+function adoptRemoteEvent(entry) {
+  if (entry.payload.epoch !== epoch) {
+    epoch = entry.payload.epoch;
+    replayBuffer.length = 0;
+  }
+  sequence = Math.max(sequence, entry.seq);
+  bufferEvent(entry);
+}
+
+/**
+ * Shares rooms and events with the other instances through MongoDB.
+ */
+function attachMongoAdapter() {
+  const collection = mongoose.connection.db.collection(ADAPTER_COLLECTION);
+
+  collection
+    .createIndex({ createdAt: 1 }, { expireAfterSeconds: ADAPTER_TTL_SECONDS })
+    .catch(err => logger.error('Socket adapter index failed', err));
+
+  io.adapter(createAdapter(collection, { addCreatedAtField: true }));
+  io.on('replay_event', adoptRemoteEvent);
+  clustered = true;
+
+  logger.info(`WebSocket events shared via MongoDB (${ADAPTER_COLLECTION})`);
+}
+
+/**
+ * Replays what the socket missed since `lastSeq`, or sends a snapshot
+ * when the gap can't be covered from the buffer.
+ */
+async function resumeSocket(socket, { lastSeq, epoch: clientEpoch }) {
+  const { deviceId } = socket.data;
+  if (deviceId) socket.join(`device_${deviceId}`);
+
+  const oldest = replayBuffer.length ? replayBuffer[0].seq : sequence + 1;
+  const canReplay = clientEpoch === epoch && lastSeq <= sequence && lastSeq >= oldest - 1;
+
+  if (canReplay) {
+    const missed = replayBuffer.filter(
+      e => e.seq > lastSeq && (!e.room || socket.rooms.has(e.room))
+    );
+    missed.forEach(e => socket.emit(e.event, e.payload));
+
+    socket.emit('resumed', { mode: 'replay', seq: sequence, epoch, count: missed.length });
+    return;
+  }
+
+  // Taken before the read so later events are never skipped on resume
+  const seq = sequence;
+  let current = { checkedAt: null, data: [] };
+  try {
+    current = await getAllCurrentCourts();
+  } catch (e) {
+    // No board yet: an empty snapshot still resets the client
+  }
+
+  socket.emit('snapshot', {
+    version: EVENT_SCHEMA_VERSION,
+    seq,
+    epoch,
+    timestamp: new Date().toISOString(),
+    checkedAt: current.checkedAt,
+    courts: current.data
+  });
+  socket.emit('resumed', { mode: 'snapshot', seq, epoch, count: 0 });
+}
+
+/**
+ * Validates an event payload against its schema. On failure emits a
+ * structured `error` event and returns null.
+ */
+function validatePayload(socket, event, data) {
+  const { value, error } = socketSchemas[event].validate(data || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    socket.emit('error', {
+      event,
+      message: 'Validation failed',
+      details: formatDetails(error, 'payload')
+    });
+    return null;
+  }
+  return value;
+}
+
 function initializeWebSocket(server) {
   io = socketIO(server, {
     cors: {
@@ -12,16 +195,29 @@ function initializeWebSocket(server) {
     }
   });
 
+  if (process.env.SOCKET_ADAPTER === 'mongo') attachMongoAdapter();
+
+  // Device identity comes from the handshake token, never from payloads
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
     logger.info(`WebSocket client connected: ${socket.id}`);
 
     // Client subscribes to their watchlist updates
     socket.on('subscribe', async (data) => {
       try {
-        const { deviceId } = data;
-        
+        const payload = validatePayload(socket, 'subscribe', data);
+        if (!payload) return;
+
+        const { deviceId } = socket.data;
+
         if (!deviceId) {
-          socket.emit('error', { message: 'deviceId is required' });
+          socket.emit('error', { message: 'Device token required' });
+          return;
+        }
+
+        if (payload.deviceId && payload.deviceId !== deviceId) {
+          socket.emit('error', { message: 'Token does not match deviceId' });
           return;
         }
 
@@ -42,12 +238,10 @@ function initializeWebSocket(server) {
     // Client subscribes to specific case updates
     socket.on('subscribe_case', async (data) => {
       try {
-        const { caseNumber } = data;
-        
-        if (!caseNumber) {
-          socket.emit('error', { message: 'caseNumber is required' });
-          return;
-        }
+        const payload = validatePayload(socket, 'subscribe_case', data);
+        if (!payload) return;
+
+        const caseNumber = canonicalCaseNumber(payload.caseNumber);
 
         socket.join(`case_${caseNumber}`);
         logger.info(`Client ${socket.id} subscribed to case ${caseNumber}`);
@@ -64,13 +258,28 @@ function initializeWebSocket(server) {
 
     // Unsubscribe
     socket.on('unsubscribe', (data) => {
-      const { deviceId } = data;
+      if (!validatePayload(socket, 'unsubscribe', data)) return;
+
+      const { deviceId } = socket.data;
       if (deviceId) {
         socket.leave(`device_${deviceId}`);
         logger.info(`Device ${deviceId} unsubscribed`);
       }
     });
 
+    // Reconnected client catching up on missed events
+    socket.on('resume', async (data) => {
+      try {
+        const payload = validatePayload(socket, 'resume', data);
+        if (!payload) return;
+
+        await resumeSocket(socket, payload);
+      } catch (error) {
+        logger.error('Error in resume:', error);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
     socket.on('disconnect', () => {
       logger.info(`WebSocket client disconnected: ${socket.id}`);
     });
@@ -83,9 +292,11 @@ function initializeWebSocket(server) {
 // Broadcast court data update to all connected clients
 function broadcastCourtUpdate(courtData) {
   if (!io) return;
-  
-  io.emit('court_update', {
-    timestamp: new Date().toISOString(),
+
+  emitEvent(null, 'court_update', {
+    type: courtData.type || 'COURT_DELTA',
+    courthouse: courtData.courthouse || null,
+    scrapedAt: courtData.scrapedAt || null,
     summary: courtData.summary,
     courts: courtData.courts
   });
@@ -94,28 +305,25 @@ function broadcastCourtUpdate(courtData) {
 // Send update to specific device
 function sendDeviceUpdate(deviceId, data) {
   if (!io) return;
-  
-  io.to(`device_${deviceId}`).emit('watchlist_update', {
-    timestamp: new Date().toISOString(),
-    ...data
-  });
+
+  emitEvent(`device_${deviceId}`, 'watchlist_update', data);
 }
 
 // Send update for specific case
-function sendCaseUpdate(caseNumber, data) {
+function sendCaseUpdate(rawCaseNumber, data) {
   if (!io) return;
-  
-  io.to(`case_${caseNumber}`).emit('case_update', {
-    timestamp: new Date().toISOString(),
-    caseNumber,
-    ...data
-  });
+
+  const caseNumber = canonicalCaseNumber(rawCaseNumber);
+
+  emitEvent(`case_${caseNumber}`, 'case_update', { caseNumber, ...data });
 }
 
 // Notify all watchers of a case
-async function notifyWatchers(caseNumber, updateData) {
+async function notifyWatchers(rawCaseNumber, updateData) {
   if (!io) return;
 
+  const caseNumber = canonicalCaseNumber(rawCaseNumber);
+
   try {
     const watchers = await Watchlist.find({ caseNumber, isActive: true });
     
@@ -136,6 +344,7 @@ async function notifyWatchers(caseNumber, updateData) {
 }
 
 module.exports = {
+  EVENT_SCHEMA_VERSION,
   initializeWebSocket,
   broadcastCourtUpdate,
   sendDeviceUpdate,
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const websocketService = require('../services/websocketService');
+
+// caseEventService binds these when it loads
+const emitted = [];
+test.mock.method(websocketService, 'sendDeviceUpdate', (deviceId, event) => emitted.push(event));
+test.mock.method(websocketService, 'sendCaseUpdate', (caseNumber, event) => emitted.push(event));
+
+const { Watchlist, Device, CaseHistory, CauseListEntry } = require('../models');
+const { restoreBoardState } = require('../services/caseEventService');
+const { processCaseUpdates, restoreWatchlists } = require('../services/trackingService');
+
+const COURTHOUSE = 'Gujarat High Court';
+
+const board = [
+  { courthouse: COURTHOUSE, courtNumber: '5', caseNumber: 'SCA/9/2024', caseStatus: 'IN_SESSION', queuePosition: 10 },
+  { courthouse: COURTHOUSE, courtNumber: '7', caseNumber: 'SCA/2/2024', caseStatus: 'IN_SESSION', queuePosition: 3 }
+];
+
+// Watch state as the last scrape before the restart saved it
+function persistedWatches(at) {
+  return [
+    {
+      _id: '000000000000000000000001',
+      deviceId: 'device-1',
+      caseNumber: 'SCA/1/2024',
+      courthouse: COURTHOUSE,
+      lastSeenStatus: 'FAR',
+      lastStatusAt: at,
+      lastSeenCourt: '5',
+      lastSeenPosition: 40,
+      lastPositionAt: at
+    },
+    {
+      _id: '000000000000000000000002',
+      deviceId: 'device-1',
+      caseNumber: 'SCA/2/2024',
+      courthouse: COURTHOUSE,
+      lastSeenStatus: 'LIVE',
+      lastStatusAt: at,
+      lastSeenCourt: '7',
+      lastSeenPosition: 3,
+      lastPositionAt: at
+    }
+  ];
+}
+
+function stubModels(t, at) {
+  const listing = { courthouse: COURTHOUSE, caseNumber: 'SCA/1/2024', courtNumber: '5', position: 40 };
+  const docs = persistedWatches(at);
+
+  t.mock.method(Watchlist, 'find', () => {
+    const hydrated = docs.map(d => Watchlist.hydrate(d));
+    return {
+      lean: async () => docs,
+      then: (resolve, reject) => Promise.resolve(hydrated).then(resolve, reject)
+    };
+  });
+  t.mock.method(Watchlist.prototype, 'save', async function () { return this; });
+  t.mock.method(Device, 'find', async () => [{ deviceId: 'device-1', isActive: true }]);
+  t.mock.method(CaseHistory, 'insertMany', async () => []);
+  t.mock.method(CauseListEntry, 'find', () => ({
+    sort() { return this; },
+    lean: async () => [listing]
+  }));
+}
+
+// An unchanged scrape reports no changed courts, only the whole board
+const unchangedScrape = (scrapedAt) =>
+  processCaseUpdates({ courthouse: COURTHOUSE, courts: [], allCourts: board, scrapedAt });
+
+test('a restart followed by an unchanged scrape emits nothing', async (t) => {
+  const at = new Date('2026-10-19T06:00:00Z');
+  stubModels(t, at);
+  emitted.length = 0;
+
+  restoreBoardState(COURTHOUSE, board, at);
+  await restoreWatchlists(COURTHOUSE, board, at);
+  await unchangedScrape(new Date(at.getTime() + 60 * 1000));
+
+  assert.deepEqual(emitted, []);
+});
+
+test('without the restored watches the same scrape re-announces them', async (t) => {
+  const at = new Date('2026-10-20T06:00:00Z');
+  stubModels(t, at);
+  emitted.length = 0;
+
+  restoreBoardState(COURTHOUSE, board, at);
+  await unchangedScrape(new Date(at.getTime() + 60 * 1000));
+
+  assert.ok(emitted.some(e => e.watchId === '000000000000000000000001'));
+  assert.ok(emitted.some(e => e.caseNumber === 'SCA/1/2024' && !e.watchId));
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalCaseNumber, isSameCase, parseCaseNumber } = require('../utils/caseNumber');
+
+test('collapses the usual spellings of one case', () => {
+  for (const raw of ['R/SCA/1234/2024', 'SCA/1234/2024', 'R/SCA 1234 of 2024', 'sca 1234/24']) {
+    assert.equal(canonicalCaseNumber(raw), 'SCA/1234/2024', raw);
+  }
+  assert.equal(canonicalCaseNumber('R/CR.MA/55/2023'), 'CRMA/55/2023');
+});
+
+test('keeps the whole of a multi-word case type', () => {
+  assert.equal(
+    canonicalCaseNumber('SPECIAL CIVIL APPLICATION/1234/2024'),
+    'SPECIAL CIVIL APPLICATION/1234/2024'
+  );
+  assert.equal(
+    canonicalCaseNumber('CRIMINAL MISC. APPLICATION/1234/2024'),
+    'CRIMINAL MISC APPLICATION/1234/2024'
+  );
+  assert.equal(
+    canonicalCaseNumber('R/SPECIAL  CIVIL   APPLICATION/1234/2024'),
+    'SPECIAL CIVIL APPLICATION/1234/2024'
+  );
+  assert.equal(
+    canonicalCaseNumber('Special Civil Application No. 1234 of 2024'),
+    'SPECIAL CIVIL APPLICATION/1234/2024'
+  );
+});
+
+test('different multi-word types are different cases', () => {
+  assert.equal(
+    isSameCase('SPECIAL CIVIL APPLICATION/1234/2024', 'CRIMINAL MISC. APPLICATION/1234/2024'),
+    false
+  );
+  assert.equal(isSameCase('SPECIAL CIVIL APPLICATION/1234/2024', 'APPLICATION/1234/2024'), false);
+});
+
+test('reports the R/ prefix separately', () => {
+  const parsed = parseCaseNumber('R/SPECIAL CIVIL APPLICATION/1234/2024');
+  assert.equal(parsed.prefix, 'R');
+  assert.equal(parsed.caseType, 'SPECIAL CIVIL APPLICATION');
+});
@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.DEVICE_TOKEN_SECRETS = 'k1:test-secret';
+
+const { Device } = require('../models');
+const { issueDeviceToken } = require('../services/deviceAuthService');
+const apiRoutes = require('../routes/api');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Applies a mongo update key, dotted paths included
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) target = target[key] = target[key] || {};
+  target[last] = value;
+}
+
+/* In-memory Device collection behind the model calls the routes make */
+function stubDevices(t, docs) {
+  const byId = new Map(docs.map(d => [d.deviceId, structuredClone(d)]));
+
+  const query = (doc) => ({
+    lean: async () => doc,
+    then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject)
+  });
+
+  t.mock.method(Device, 'findOne', (filter) => {
+    const doc = byId.get(filter.deviceId) || null;
+    if (doc && filter.isActive !== undefined && doc.isActive !== filter.isActive) return query(null);
+    return query(doc);
+  });
+
+  t.mock.method(Device, 'findOneAndUpdate', async ({ deviceId }, update) => {
+    const doc = byId.get(deviceId) || { deviceId, tokenVersion: 0 };
+    const { $inc = {}, $set = {}, ...fields } = update;
+    for (const [path, value] of Object.entries({ ...fields, ...$set })) setPath(doc, path, value);
+    for (const [key, by] of Object.entries($inc)) doc[key] = (doc[key] || 0) + by;
+    byId.set(deviceId, doc);
+    return doc;
+  });
+
+  return byId;
+}
+
+async function withServer(fn) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+
+  const server = app.listen(0);
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/api`);
+  } finally {
+    server.close();
+  }
+}
+
+function post(url, body, token) {
+  return fetch(url, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      ...(token && { authorization: `Bearer ${token}` })
+    },
+    body: JSON.stringify(body || {})
+  });
+}
+
+/* A token issued `ageMs` ago (tokens live 30 days) */
+function tokenIssuedAgo(t, device, ageMs) {
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now - ageMs);
+  const { token } = issueDeviceToken(device);
+  t.mock.restoreAll();
+  return token;
+}
+
+const registered = {
+  deviceId: 'device-1',
+  fcmToken: 'fcm-1',
+  isActive: true,
+  tokenVersion: 3,
+  tokenIssuedAt: new Date()
+};
+
+test('refresh exchanges a recently expired token for a new one', async (t) => {
+  const token = tokenIssuedAgo(t, registered, 32 * DAY_MS);
+  const devices = stubDevices(t, [registered]);
+
+  await withServer(async (api) => {
+    const res = await post(`${api}/device/token/refresh`, {}, token);
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.ok(body.token);
+    assert.equal(devices.get('device-1').tokenVersion, 4);
+
+    // The expired token is revoked by the rotation
+    const again = await post(`${api}/device/token/refresh`, {}, token);
+    assert.equal(again.status, 401);
+  });
+});
+
+test('refresh refuses a token expired beyond the grace window', async (t) => {
+  const token = tokenIssuedAgo(t, registered, 40 * DAY_MS);
+  stubDevices(t, [registered]);
+
+  await withServer(async (api) => {
+    const res = await post(`${api}/device/token/refresh`, {}, token);
+    assert.equal(res.status, 401);
+  });
+});
+
+test('expired tokens are still refused elsewhere', async (t) => {
+  const token = tokenIssuedAgo(t, registered, 32 * DAY_MS);
+  stubDevices(t, [registered]);
+
+  await withServer(async (api) => {
+    const res = await post(`${api}/device/heartbeat`, { deviceId: 'device-1' }, token);
+    assert.equal(res.status, 401);
+  });
+});
+
+test('register takes a recently expired token of the device', async (t) => {
+  const token = tokenIssuedAgo(t, registered, 32 * DAY_MS);
+  stubDevices(t, [registered]);
+
+  await withServer(async (api) => {
+    const res = await post(`${api}/device/register`, { deviceId: 'device-1', fcmToken: 'fcm-2' }, token);
+    assert.equal(res.status, 200);
+  });
+});
+
+test('a reinstall without its token re-registers with the registered FCM token', async (t) => {
+  const devices = stubDevices(t, [registered]);
+
+  await withServer(async (api) => {
+    const res = await post(`${api}/device/register`, { deviceId: 'device-1', fcmToken: 'fcm-1' });
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.ok(body.token);
+    assert.equal(devices.get('device-1').tokenVersion, 4);
+  });
+});
+
+test('register without the token or the registered FCM token is refused', async (t) => {
+  const devices = stubDevices(t, [registered]);
+
+  await withServer(async (api) => {
+    const res = await post(`${api}/device/register`, { deviceId: 'device-1', fcmToken: 'fcm-other' });
+    assert.equal(res.status, 401);
+    assert.equal(devices.get('device-1').fcmToken, 'fcm-1');
+  });
+});
+
+test('a device registered before tokens existed needs its FCM token on record', async (t) => {
+  const { tokenIssuedAt, ...legacy } = registered;
+  const devices = stubDevices(t, [legacy]);
+
+  await withServer(async (api) => {
+    const stranger = await post(`${api}/device/register`, { deviceId: 'device-1', fcmToken: 'fcm-other' });
+    assert.equal(stranger.status, 401);
+    assert.equal(devices.get('device-1').tokenVersion, 3);
+
+    const owner = await post(`${api}/device/register`, { deviceId: 'device-1', fcmToken: 'fcm-1' });
+    assert.equal(owner.status, 200);
+  });
+});
+
+test('a user who turned push off stays opted out after re-registering', async (t) => {
+  const optedOut = { ...registered, channels: { fcm: { enabled: false, disabledReason: null } } };
+  const token = issueDeviceToken(optedOut).token;
+  const devices = stubDevices(t, [optedOut]);
+
+  await withServer(async (api) => {
+    const res = await post(`${api}/device/register`, { deviceId: 'device-1', fcmToken: 'fcm-2' }, token);
+    assert.equal(res.status, 200);
+    assert.equal(devices.get('device-1').channels.fcm.enabled, false);
+  });
+});
+
+test('push switched off for a dead token comes back with a new one', async (t) => {
+  const invalidated = {
+    ...registered,
+    isActive: false,
+    channels: { fcm: { enabled: false, disabledReason: 'invalid_token' } }
+  };
+  const token = issueDeviceToken(invalidated).token;
+  const devices = stubDevices(t, [invalidated]);
+
+  await withServer(async (api) => {
+    const res = await post(`${api}/device/register`, { deviceId: 'device-1', fcmToken: 'fcm-2' }, token);
+    assert.equal(res.status, 200);
+
+    const device = devices.get('device-1');
+    assert.equal(device.isActive, true);
+    assert.deepEqual(device.channels.fcm, { enabled: true, disabledReason: null });
+  });
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolvePreferences, shouldSendAlert } = require('../services/notificationPreferenceService');
+
+const device = { notificationPreferences: { courts: ['5'] } };
+const watchWith = (courts) => ({ notificationSettings: { courts } });
+
+test('a watch court list overrides the device filter', () => {
+  const prefs = resolvePreferences(watchWith(['7']), device);
+  assert.deepEqual(prefs.courts, ['7']);
+  assert.equal(shouldSendAlert('approaching', prefs, { courtNumber: '7' }).send, true);
+  assert.equal(shouldSendAlert('approaching', prefs, { courtNumber: '5' }).reason, 'court_filtered');
+});
+
+test('an empty watch court list lifts the device filter', () => {
+  const prefs = resolvePreferences(watchWith([]), device);
+  assert.deepEqual(prefs.courts, []);
+  assert.equal(shouldSendAlert('approaching', prefs, { courtNumber: '7' }).send, true);
+});
+
+test('a watch without a court list uses the device filter', () => {
+  for (const courts of [undefined, null]) {
+    const prefs = resolvePreferences(watchWith(courts), device);
+    assert.deepEqual(prefs.courts, ['5']);
+  }
+});
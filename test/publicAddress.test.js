@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const { isPublicAddress, isPublicHostLiteral, resolvesToPublicAddress } = require('../utils/publicAddress');
+const { postJson } = require('../services/channels/http');
+
+test('refuses loopback, private, link-local and metadata addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254',
+    '::1', 'fe80::1', 'fd00:ec2::254', '::ffff:127.0.0.1', '::ffff:7f00:1']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  assert.equal(isPublicAddress('8.8.8.8'), true);
+  assert.equal(isPublicAddress('2606:4700::1'), true);
+});
+
+test('refuses internal hostnames and private IP literals in URLs', () => {
+  for (const url of ['http://localhost:3000/hook', 'http://[::1]/', 'http://metadata.google.internal/',
+    'http://169.254.169.254/latest/meta-data', 'http://2130706433/']) {
+    assert.equal(isPublicHostLiteral(url), false, url);
+  }
+  assert.equal(isPublicHostLiteral('https://hooks.example.com/x'), true);
+});
+
+test('checks what a hostname resolves to, at validation and at send time', async (t) => {
+  t.mock.method(dns, 'lookup', (hostname, options, callback) =>
+    callback(null, [{ address: '10.0.0.5', family: 4 }]));
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '10.0.0.5', family: 4 }]);
+
+  assert.equal(await resolvesToPublicAddress('https://rebound.example.com/hook'), false);
+
+  const result = await postJson('https://rebound.example.com/hook', '{}', {}, { publicOnly: true });
+  assert.equal(result.success, false);
+  assert.equal(result.errorCode, 'http/ERR_PRIVATE_ADDRESS');
+});
+
+test('WEBHOOK_ALLOW_PRIVATE admits local receivers outside production only', (t) => {
+  const nodeEnv = process.env.NODE_ENV;
+  t.after(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+    if (nodeEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = nodeEnv;
+  });
+
+  process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+  assert.equal(isPublicHostLiteral('http://localhost:4020/webhook'), true);
+
+  process.env.NODE_ENV = 'production';
+  assert.equal(isPublicHostLiteral('http://localhost:4020/webhook'), false);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Watchlist } = require('../models');
+const { getWatchDemand } = require('../services/watchlistService');
+const { createPolicy, recordSuccess, decideNextDelay } = require('../services/scrapePolicyService');
+
+const COURTHOUSE = 'Gujarat High Court';
+const at = new Date('2026-10-19T06:00:00Z');           // 11:30 IST
+const yesterday = new Date('2026-10-18T09:00:00Z');
+
+const board = [{ courtNumber: '5', caseNumber: 'SCA/9/2024', caseStatus: 'IN_SESSION', queuePosition: 10 }];
+
+function stubWatches(t, watches) {
+  t.mock.method(Watchlist, 'find', () => ({ lean: async () => watches }));
+}
+
+async function modeFor(demand) {
+  const policy = createPolicy(30000);
+  recordSuccess(policy, { changedCourts: [], allCourts: board, demand });
+  return decideNextDelay(policy, { msUntilCourtHours: 0, now: at.getTime() }).mode;
+}
+
+test('a status left over from an earlier day does not make a watch near the front', async (t) => {
+  stubWatches(t, [{ lastSeenStatus: 'VERY_NEAR', lastStatusAt: yesterday, isPaused: false }]);
+
+  const demand = await getWatchDemand(COURTHOUSE, at);
+  assert.deepEqual(demand, { watched: 1, nearFront: 0 });
+  assert.notEqual(await modeFor(demand), 'fast');
+});
+
+test('paused watches are never near the front', async (t) => {
+  stubWatches(t, [
+    { lastSeenStatus: 'NEXT', lastStatusAt: at, isPaused: true, pausedUntil: null },
+    { lastSeenStatus: 'NEXT', lastStatusAt: at, isPaused: true, pausedUntil: new Date(at.getTime() - 1000) }
+  ]);
+
+  assert.deepEqual(await getWatchDemand(COURTHOUSE, at), { watched: 2, nearFront: 1 });
+});
+
+test('a status from today still switches the policy to fast mode', async (t) => {
+  stubWatches(t, [{ lastSeenStatus: 'VERY_NEAR', lastStatusAt: at, isPaused: false }]);
+
+  const demand = await getWatchDemand(COURTHOUSE, at);
+  assert.equal(demand.nearFront, 1);
+  assert.equal(await modeFor(demand), 'fast');
+});
@@ -0,0 +1,90 @@
+/**
+ * Case number parsing.
+ *
+ * The streaming board, cause lists and users all write the same case in
+ * different ways: "R/SCA/1234/2024", "SCA/1234/2024", "R/SCA 1234 of 2024",
+ * "SCA 1234/24". Everything that stores or compares case numbers goes
+ * through canonicalCaseNumber() so these collapse to "SCA/1234/2024".
+ *
+ * Case types may run to several words ("SPECIAL CIVIL APPLICATION",
+ * "CRIMINAL MISC. APPLICATION"); the whole type is kept, so those never
+ * collapse onto each other.
+ */
+
+// [R|F/] TYPE [NO.] (/| ) NUMBER (/| of |-) YEAR, TYPE being one or more words
+const CASE_NUMBER_RE =
+  /(?:^|[^A-Z])(?:([RF])\s*\/\s*)?([A-Z][A-Z.()\-]*(?:\s+[A-Z][A-Z.()\-]*)*)\s*[/\s-]\s*(\d{1,7})\s*(?:\/|\s+OF\s+|-|\s)\s*(\d{4}|\d{2})(?!\d)/;
+
+const cleanText = (text) =>
+  text ? String(text).replace(/\s+/g, ' ').trim() : '';
+
+/**
+ * "CR.MA" -> "CRMA", "MISC. APPLICATION" -> "MISC APPLICATION": a dot
+ * inside a word joins it, a dot before a space ends the word.
+ */
+function normaliseCaseType(type) {
+  return type
+    .replace(/\.(?=\S)/g, '')
+    .replace(/\./g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/ NO$/, '');
+}
+
+function expandYear(year) {
+  if (year.length === 4) return parseInt(year, 10);
+
+  const yy = parseInt(year, 10);
+  const currentYY = new Date().getFullYear() % 100;
+  return yy <= currentYY + 1 ? 2000 + yy : 1900 + yy;
+}
+
+/**
+ * Splits a case number into its parts.
+ * Returns null when the text does not look like a case number.
+ */
+function parseCaseNumber(raw) {
+  const text = cleanText(raw).toUpperCase();
+  if (!text) return null;
+
+  const m = text.match(CASE_NUMBER_RE);
+  if (!m) return null;
+
+  const caseType = normaliseCaseType(m[2]);
+  const number = parseInt(m[3], 10);
+  const year = expandYear(m[4]);
+
+  if (!caseType || !number) return null;
+
+  return {
+    raw: cleanText(raw),
+    prefix: m[1] || null,
+    caseType,
+    number,
+    year,
+    canonical: `${caseType}/${number}/${year}`
+  };
+}
+
+/**
+ * Canonical form used as the matching key everywhere. Text that cannot be
+ * parsed falls back to trimmed upper case so it still matches itself.
+ */
+function canonicalCaseNumber(raw) {
+  const parsed = parseCaseNumber(raw);
+  if (parsed) return parsed.canonical;
+
+  const text = cleanText(raw).toUpperCase();
+  return text || null;
+}
+
+function isSameCase(a, b) {
+  if (!a || !b) return false;
+  return canonicalCaseNumber(a) === canonicalCaseNumber(b);
+}
+
+module.exports = {
+  parseCaseNumber,
+  canonicalCaseNumber,
+  isSameCase
+};
@@ -0,0 +1,35 @@
+const { canonicalCaseNumber } = require('./caseNumber');
+
+/**
+ * A hearing is one case's turn before one court on one (IST) day. Alerts
+ * are de-duplicated per hearing, so a case heard again on a later date, or
+ * sent to another court, alerts again.
+ */
+
+const HEARING_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * 'YYYY-MM-DD' in court time.
+ */
+function hearingDateFor(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: HEARING_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(date));
+}
+
+/**
+ * "2024-07-01|5|SCA/1234/2024"; an unknown court is "-".
+ */
+function hearingKey({ date, courtNumber, caseNumber }) {
+  const court = courtNumber ? String(courtNumber).trim() : '-';
+  return `${hearingDateFor(date)}|${court}|${canonicalCaseNumber(caseNumber)}`;
+}
+
+module.exports = {
+  HEARING_TIMEZONE,
+  hearingDateFor,
+  hearingKey
+};
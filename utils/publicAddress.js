@@ -0,0 +1,138 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Outbound requests to user-supplied URLs (webhooks) may only reach the
+ * public internet: never loopback, private, link-local (which includes the
+ * 169.254.169.254 cloud metadata endpoint) or other reserved ranges.
+ *
+ * Hostnames are checked when the URL is saved and again, through
+ * publicLookup, on every connection, so a name re-pointed at an internal
+ * address after validation is still refused.
+ *
+ * WEBHOOK_ALLOW_PRIVATE=true lifts the checks outside production, for
+ * local receivers such as scripts/channelStandIn.js.
+ */
+
+const blocked = new net.BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],        // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],    // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],   // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],     // documentation
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],    // benchmarking
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4]       // reserved, broadcast
+]) {
+  blocked.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],     // NAT64 of IPv4
+  ['100::', 64],         // discard
+  ['2001:db8::', 32],    // documentation
+  ['fc00::', 7],         // unique local, incl. fd00:ec2::254 metadata
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  blocked.addSubnet(network, prefix, 'ipv6');
+}
+
+const BLOCKED_HOSTNAMES = /^(localhost|.*\.localhost|.*\.internal|.*\.local)$/i;
+
+function privateAllowed() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+const privateAddressError = (hostname) => Object.assign(
+  new Error(`${hostname} does not resolve to a public address`),
+  { code: 'ERR_PRIVATE_ADDRESS' }
+);
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked against the IPv4 ranges
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function hostnameOf(url) {
+  try {
+    // WHATWG keeps IPv6 literals bracketed
+    return new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Checks what can be told without DNS: the hostname is not an internal
+ * name, and an IP literal is public. For synchronous validation.
+ */
+function isPublicHostLiteral(url) {
+  const hostname = hostnameOf(url);
+  if (hostname && privateAllowed()) return true;
+  if (!hostname || BLOCKED_HOSTNAMES.test(hostname)) return false;
+  return !net.isIP(hostname) || isPublicAddress(hostname);
+}
+
+/**
+ * True when the URL's host is public and every address it resolves to is.
+ */
+async function resolvesToPublicAddress(url) {
+  if (!isPublicHostLiteral(url)) return false;
+
+  const hostname = hostnameOf(url);
+  if (net.isIP(hostname) || privateAllowed()) return true;
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    return addresses.length > 0 && addresses.every(a => isPublicAddress(a.address));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * dns.lookup for http(s) agents: fails the connection unless every
+ * address the name resolves to is public.
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (privateAllowed()) return dns.lookup(hostname, options, callback);
+
+  if (BLOCKED_HOSTNAMES.test(hostname)) {
+    return process.nextTick(callback, privateAddressError(hostname));
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || !addresses.every(a => isPublicAddress(a.address))) {
+      return callback(privateAddressError(hostname));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  isPublicHostLiteral,
+  resolvesToPublicAddress,
+  publicLookup
+};
@@ -0,0 +1,378 @@
+const Joi = require('joi');
+const { resolveCourthouse } = require('../services/courthouses');
+const { ENTRY_TYPES, isValidTimezone } = require('../services/courtCalendarService');
+const { isPublicHostLiteral } = require('../utils/publicAddress');
+
+/* ==================== SHARED ==================== */
+
+const deviceId = Joi.string().trim().min(1).max(200);
+const objectId = Joi.string().hex().length(24);
+const caseNumber = Joi.string().trim().min(1).max(100);
+const courtNumber = Joi.string().trim().min(1).max(20);
+const position = Joi.number().integer().min(0).max(10000);
+
+// Accepts an adapter id or name; the validated value is the courthouse name
+const courthouse = Joi.string().trim().max(100).custom((value, helpers) => {
+  return resolveCourthouse(value) || helpers.message(`Unknown courthouse: ${value}`);
+});
+
+const clockTime = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/, 'HH:MM');
+const isoDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD');
+
+// Both ends or neither; null clears the window
+const quietHours = Joi.object({
+  start: clockTime.required(),
+  end: clockTime.required(),
+  allowLive: Joi.boolean().default(true)
+}).allow(null);
+
+const leadItems = Joi.number().integer().min(1).max(100).allow(null);
+const courtFilter = Joi.array().items(courtNumber).max(50).unique();
+
+const notificationSettings = Joi.object({
+  earlyWarning: Joi.boolean(),
+  approaching: Joi.boolean(),
+  inSession: Joi.boolean(),
+  completed: Joi.boolean(),
+  leadItems,
+  quietHours,
+  courts: courtFilter.allow(null)   // null falls back to the device filter
+});
+
+const courthouseQuery = Joi.object({ courthouse });
+
+/* ==================== DEVICE ==================== */
+
+const device = {
+  register: {
+    body: Joi.object({
+      deviceId: deviceId.required(),
+      fcmToken: Joi.string().trim().min(1).max(4096).required(),
+      deviceInfo: Joi.object({
+        model: Joi.string().max(200),
+        osVersion: Joi.string().max(50),
+        appVersion: Joi.string().max(50)
+      })
+    })
+  },
+
+  heartbeat: {
+    body: Joi.object({ deviceId })
+  },
+
+  deviceItem: {
+    params: Joi.object({ deviceId: deviceId.required() })
+  },
+
+  updatePreferences: {
+    params: Joi.object({ deviceId: deviceId.required() }),
+    body: Joi.object({
+      enabled: Joi.boolean(),
+      leadItems,
+      quietHours,
+      courts: courtFilter,
+      timezone: Joi.string().trim().max(64).custom((value, helpers) => {
+        try {
+          new Intl.DateTimeFormat('en-GB', { timeZone: value });
+          return value;
+        } catch (e) {
+          return helpers.message(`Unknown timezone: ${value}`);
+        }
+      })
+    }).min(1)
+  },
+
+  updateChannels: {
+    params: Joi.object({ deviceId: deviceId.required() }),
+    body: Joi.object({
+      fcm: Joi.object({ enabled: Joi.boolean() }),
+      email: Joi.object({
+        enabled: Joi.boolean(),
+        address: Joi.string().trim().email().max(254).allow(null)
+      }),
+      sms: Joi.object({
+        enabled: Joi.boolean(),
+        phone: Joi.string().trim().pattern(/^\+?[1-9]\d{7,14}$/, 'phone number').allow(null)
+      }),
+      webhook: Joi.object({
+        enabled: Joi.boolean(),
+        // The resolved addresses are checked again when the URL is saved
+        url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048).allow(null)
+          .custom((value, helpers) => {
+            return isPublicHostLiteral(value) ? value : helpers.message('Webhook URL must be a public address');
+          }),
+        rotateSecret: Joi.boolean()
+      })
+    }).min(1)
+  }
+};
+
+/* ==================== NOTIFICATIONS ==================== */
+
+const alertType = Joi.string().valid('early_warning', 'approaching', 'in_session', 'completed');
+const deviceParams = Joi.object({ deviceId: deviceId.required() });
+
+const notifications = {
+  list: {
+    params: deviceParams,
+    query: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      caseNumber,
+      type: alertType,
+      unread: Joi.boolean()
+    })
+  },
+
+  unreadCount: {
+    params: deviceParams
+  },
+
+  update: {
+    params: deviceParams.keys({ notificationId: objectId.required() }),
+    body: Joi.object({ read: Joi.boolean().required() })
+  },
+
+  readAll: {
+    params: deviceParams,
+    body: Joi.object({ caseNumber, type: alertType })
+  }
+};
+
+/* ==================== WATCHLIST ==================== */
+
+const watchParams = Joi.object({
+  deviceId: deviceId.required(),
+  watchId: objectId.required()
+});
+
+const watchInput = Joi.object({
+  caseNumber: caseNumber.required(),
+  nickname: Joi.string().trim().max(100).allow(null, ''),
+  notificationSettings,
+  courthouse,
+  courtNumber,
+  position
+});
+
+const watchlist = {
+  add: {
+    body: watchInput.keys({ deviceId })
+  },
+
+  list: {
+    params: Joi.object({ deviceId: deviceId.required() }),
+    query: courthouseQuery
+  },
+
+  update: {
+    params: watchParams,
+    body: Joi.object({
+      nickname: Joi.string().trim().max(100).allow(null, ''),
+      notificationSettings,
+      courtNumber: courtNumber.allow(null),
+      position: position.allow(null)
+    }).min(1)
+  },
+
+  pause: {
+    params: watchParams,
+    body: Joi.object({
+      until: Joi.date().iso().greater('now').allow(null)
+    })
+  },
+
+  watchItem: {
+    params: watchParams
+  },
+
+  preferences: {
+    params: watchParams,
+    body: notificationSettings.min(1)
+  },
+
+  bulk: {
+    body: Joi.object({
+      deviceId,
+      courthouse,
+      notificationSettings,
+      cases: Joi.array()
+        .items(Joi.alternatives().try(
+          caseNumber,
+          watchInput.keys({ courthouse: Joi.forbidden() })
+        ))
+        .max(200),
+      text: Joi.string().max(20000)
+    }).xor('cases', 'text')
+  }
+};
+
+/* ==================== COURTS ==================== */
+
+const courts = {
+  list: {
+    query: courthouseQuery
+  },
+
+  queue: {
+    params: Joi.object({ courtNumber: courtNumber.required() }),
+    query: courthouseQuery
+  },
+
+  timeline: {
+    query: Joi.object({
+      courthouse,
+      date: isoDate,
+      courtNumber
+    })
+  },
+
+  at: {
+    query: Joi.object({
+      courthouse,
+      time: Joi.date().iso().max('now').required(),
+      courtNumber
+    })
+  }
+};
+
+/* ==================== CASE DATA ==================== */
+
+const caseData = {
+  history: {
+    params: Joi.object({ caseNumber: caseNumber.required() }),
+    query: courthouseQuery
+  },
+
+  stats: {
+    params: Joi.object({ caseNumber: caseNumber.required() })
+  }
+};
+
+/* ==================== CALENDAR ==================== */
+
+const courthouseParams = Joi.object({ courthouse: courthouse.required() });
+
+const calendarEntry = Joi.object({
+  type: Joi.string().valid(...ENTRY_TYPES).required(),
+  startDate: isoDate.required(),
+  endDate: isoDate,
+  name: Joi.string().trim().max(200).allow(null, ''),
+  start: clockTime.allow(null),
+  end: clockTime.allow(null)
+}).custom((value, helpers) => {
+  if (value.endDate && value.endDate < value.startDate) {
+    return helpers.message('endDate must not be before startDate');
+  }
+  return value;
+});
+
+const calendar = {
+  get: {
+    params: courthouseParams,
+    query: Joi.object({
+      from: isoDate,
+      to: isoDate
+    })
+  },
+
+  updateSettings: {
+    params: courthouseParams,
+    body: Joi.object({
+      timezone: Joi.string().trim().max(64).custom((value, helpers) => {
+        return isValidTimezone(value) ? value : helpers.message(`Unknown timezone: ${value}`);
+      }).allow(null),
+      sittingHours: Joi.object({
+        start: clockTime.required(),
+        end: clockTime.required()
+      }).allow(null),
+      sittingDays: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).max(7).unique().allow(null)
+    }).min(1)
+  },
+
+  addEntries: {
+    params: courthouseParams,
+    body: Joi.object({
+      entries: Joi.array().items(calendarEntry).min(1).max(500).required(),
+      replace: Joi.boolean().default(false)
+    })
+  },
+
+  removeEntry: {
+    params: courthouseParams.keys({ entryId: objectId.required() })
+  },
+
+  import: {
+    params: courthouseParams,
+    body: Joi.object({
+      format: Joi.string().valid('json', 'ics').required(),
+      content: Joi.string().min(1).max(1024 * 1024).required(),
+      replace: Joi.boolean().default(false)
+    })
+  }
+};
+
+/* ==================== ANALYTICS ==================== */
+
+const MAX_RANGE_DAYS = 366;
+
+const analyticsRange = {
+  from: isoDate,
+  to: isoDate
+};
+
+function checkRange(value, helpers) {
+  if (value.from && value.to) {
+    if (value.to < value.from) return helpers.message('to must not be before from');
+
+    const days = (Date.parse(value.to) - Date.parse(value.from)) / 86400000 + 1;
+    if (days > MAX_RANGE_DAYS) return helpers.message(`Range is limited to ${MAX_RANGE_DAYS} days`);
+  }
+  return value;
+}
+
+const analytics = {
+  court: {
+    params: Joi.object({ courtNumber: courtNumber.required() }),
+    query: Joi.object({ courthouse, ...analyticsRange }).custom(checkRange)
+  },
+
+  judge: {
+    params: Joi.object({ name: Joi.string().trim().min(2).max(200).required() }),
+    query: Joi.object({ courthouse, ...analyticsRange }).custom(checkRange)
+  }
+};
+
+/* ==================== DEBUG ==================== */
+
+const debug = {
+  testNotification: {
+    body: Joi.object({
+      fcmToken: Joi.string().trim().min(1).max(4096).required()
+    })
+  }
+};
+
+/* ==================== SOCKET EVENTS ==================== */
+
+const socket = {
+  subscribe: Joi.object({ deviceId }),
+  subscribe_case: Joi.object({ caseNumber: caseNumber.required() }),
+  unsubscribe: Joi.object({ deviceId }),
+  resume: Joi.object({
+    lastSeq: Joi.number().integer().min(0).required(),
+    epoch: Joi.string().hex().max(64)
+  })
+};
+
+module.exports = {
+  device,
+  notifications,
+  watchlist,
+  courts,
+  caseData,
+  calendar,
+  analytics,
+  debug,
+  socket
+};